@@ -0,0 +1,176 @@
+'use strict';
+
+const _path = require('path');
+const Promise = require('bluebird').Promise;
+const StackAssembler = require('../stack-assembler');
+const NestedStackAssembler = require('../nested-stack-assembler');
+const TemplateWatcher = require('../template-watcher');
+const _cliUtils = require('./cli-utils');
+
+/**
+ * Formats a summary of changes between two builds.
+ *
+ * @private
+ * @param {Object} summary An object containing 'added', 'removed' and
+ *        'changed' arrays of logical ids.
+ *
+ * @return {String} The formatted summary.
+ */
+function _formatSummary(summary) {
+    const time = new Date().toTimeString().substring(0, 8);
+    const lines = [
+        `[${time}] Document rebuilt: ${summary.added.length} added, ${summary.removed.length} removed, ${summary.changed.length} changed`
+    ];
+    summary.added.forEach((key) => lines.push(`  + ${key}`));
+    summary.removed.forEach((key) => lines.push(`  - ${key}`));
+    summary.changed.forEach((key) => lines.push(`  ~ ${key}`));
+    return lines.join('\n');
+}
+
+/**
+ * Command that builds a template tree into a cloud formation document.
+ */
+const buildCommand = {
+
+   /**
+    * Builds the template tree at the specified path, and writes the
+    * resulting cloud formation document to a file or to stdout.
+    *
+    * @param {String} root The path to the root of the template tree.
+    * @param {Object} [options={}] Optional parameters for the command.
+    * @param {String} [options.out] The output file. The document will be
+    *        written to stdout if omitted.
+    * @param {String} [options.data] The path to a data bag file.
+    * @param {String} [options.format] The output format ('json' or 'yaml').
+    *        Defaults to the format implied by the output file extension.
+    * @param {Boolean} [options.pretty=false] Pretty prints json output.
+    * @param {String} [options.description] The description of the document.
+    * @param {String} [options.validation='none'] The validation mode to use
+    *        when finalizing templates.
+    * @param {Array} [options.ignore=[]] A list of glob patterns for files
+    *        and directories that will be ignored.
+    * @param {String} [options.templateUrl] A url prefix for nested stack
+    *        templates. When specified, resources are split into nested
+    *        stacks, and the child templates are written to the directory of
+    *        the output file.
+    * @param {Number} [options.nestedDepth=2] The directory level at which
+    *        resources are split into nested stacks.
+    *
+    * @return {Promise} A promise that will be resolved with the generated
+    *         document, or rejected if the build fails.
+    */
+    run: function(root, options) {
+        options = options || {};
+
+        const format = _cliUtils.getFormat(options.format, options.out);
+        const dataBag = _cliUtils.loadDataBag(options.data);
+        const builder = _cliUtils.createBuilder(root, dataBag, options.ignore);
+
+        if(typeof options.templateUrl === 'string') {
+            return buildCommand._runNested(builder, dataBag, format, options);
+        }
+
+        const assembler = new StackAssembler({
+            description: options.description,
+            dataBag: dataBag,
+            validation: options.validation
+        });
+
+        return builder.build().then((templates) => {
+            const doc = assembler.assemble(templates);
+            const text = _cliUtils.serialize(doc, format, options.pretty);
+            return _cliUtils.writeOutput(text, options.out).then(() => doc);
+        });
+    },
+
+   /**
+    * Builds a template tree into a parent document and a set of nested
+    * stack documents. The parent is written to the output file, and child
+    * documents are written alongside it.
+    *
+    * @private
+    * @param {Object} builder The template builder for the tree.
+    * @param {Object} dataBag The data bag for the build.
+    * @param {String} format The output format.
+    * @param {Object} options The options passed to `run()`.
+    *
+    * @return {Promise} A promise that will be resolved with the parent and
+    *         child documents, or rejected if the build fails.
+    */
+    _runNested: function(builder, dataBag, format, options) {
+        if(typeof options.out !== 'string' || options.out.length <= 0) {
+            throw new Error('An output file must be specified when generating nested stacks');
+        }
+        const outDir = _path.dirname(options.out);
+        const assembler = new NestedStackAssembler({
+            description: options.description,
+            dataBag: dataBag,
+            validation: options.validation,
+            templateUrl: options.templateUrl,
+            depth: options.nestedDepth,
+            extension: `.${format}`
+        });
+
+        return builder.build().then((templates) => {
+            const result = assembler.assemble(templates);
+            const writes = Object.keys(result.children).map((fileName) => {
+                const text = _cliUtils.serialize(result.children[fileName], format, options.pretty);
+                return _cliUtils.writeOutput(text, _path.join(outDir, fileName));
+            });
+            const text = _cliUtils.serialize(result.parent, format, options.pretty);
+            writes.push(_cliUtils.writeOutput(text, options.out));
+            return Promise.all(writes).then(() => result);
+        });
+    },
+
+   /**
+    * Builds the template tree at the specified path, and then watches the
+    * tree for changes, incrementally rebuilding and rewriting the output
+    * file whenever files change. A summary of added, removed and changed
+    * resources is printed after every build.
+    *
+    * @param {String} root The path to the root of the template tree.
+    * @param {Object} options Parameters for the command. Accepts the same
+    *        options as `run()`, except that an output file is required.
+    *
+    * @return {Promise} A promise that will be resolved with the watcher
+    *         once the initial build completes, or rejected if the initial
+    *         build fails.
+    */
+    watch: function(root, options) {
+        options = options || {};
+        if(typeof options.out !== 'string' || options.out.length <= 0) {
+            throw new Error('An output file must be specified in watch mode');
+        }
+        if(typeof options.templateUrl === 'string') {
+            throw new Error('Nested stacks are not supported in watch mode');
+        }
+
+        const format = _cliUtils.getFormat(options.format, options.out);
+        const dataBag = _cliUtils.loadDataBag(options.data);
+        const watcher = new TemplateWatcher(_cliUtils.createDirInfo(root), {
+            dataBag: dataBag,
+            ignore: options.ignore,
+            assembler: {
+                description: options.description,
+                validation: options.validation
+            }
+        });
+
+        watcher.on('build', (doc, summary) => {
+            const text = _cliUtils.serialize(doc, format, options.pretty);
+            _cliUtils.writeOutput(text, options.out).then(() => {
+                console.error(_formatSummary(summary));
+            }, (err) => {
+                console.error(`Error: ${err.message}`);
+            });
+        });
+        watcher.on('error', (err) => {
+            console.error(`Error: ${err.message}`);
+        });
+
+        return watcher.start().then(() => watcher);
+    }
+};
+
+module.exports = buildCommand;
@@ -0,0 +1,207 @@
+'use strict';
+
+const _fs = require('fs');
+const _path = require('path');
+const Promise = require('bluebird').Promise;
+const _loggerProvider = require('wysknd-common').loggerProvider;
+
+const DirInfo = require('../dir-info');
+const TemplateBuilder = require('../template-builder');
+const _yamlUtils = require('../utils/yaml-utils');
+
+const LOG_LEVELS = [ 'trace', 'debug', 'info', 'warn', 'error', 'fatal' ];
+const OUTPUT_FORMATS = [ 'json', 'yaml' ];
+
+/**
+ * A module with helper methods shared by the command line interface
+ * commands.
+ */
+const cliUtils = {
+
+   /**
+    * Configures the logger provider with the specified log level.
+    *
+    * @param {String} [level='warn'] The log level. Must be one of 'trace',
+    *        'debug', 'info', 'warn', 'error' or 'fatal'.
+    */
+    configureLogger: function(level) {
+        if(typeof level === 'undefined') {
+            level = 'warn';
+        }
+        if(LOG_LEVELS.indexOf(level) < 0) {
+            throw new Error(`Invalid log level specified. Must be one of: [${LOG_LEVELS}]`);
+        }
+        _loggerProvider.configure({
+            appName: 'cf-generator',
+            logLevel: level
+        });
+    },
+
+   /**
+    * Loads a data bag from a json, yaml or javascript file. Javascript files
+    * may export an object, or a function that returns an object.
+    *
+    * @param {String} [filePath] The path to the data bag file. If omitted,
+    *        an empty data bag will be returned.
+    *
+    * @return {Object} The data bag.
+    */
+    loadDataBag: function(filePath) {
+        if(typeof filePath !== 'string' || filePath.length <= 0) {
+            return {};
+        }
+        const absPath = _path.resolve(filePath);
+        const ext = _path.extname(absPath);
+        let dataBag = null;
+
+        try {
+            if(ext === '.yaml' || ext === '.yml') {
+                dataBag = _yamlUtils.load(_fs.readFileSync(absPath, 'utf8'));
+            } else if(ext === '.json') {
+                dataBag = JSON.parse(_fs.readFileSync(absPath, 'utf8'));
+            } else {
+                dataBag = require(absPath);
+                if(typeof dataBag === 'function') {
+                    dataBag = dataBag();
+                }
+            }
+        } catch(ex) {
+            throw new Error(`Error loading data bag from file: [${filePath}]: ${ex.message}`);
+        }
+
+        if(!dataBag || (dataBag instanceof Array) || typeof dataBag !== 'object') {
+            throw new Error(`Data bag file does not contain an object: [${filePath}]`);
+        }
+        return dataBag;
+    },
+
+   /**
+    * Loads a cloud formation document from a json or yaml file.
+    *
+    * @param {String} filePath The path to the document.
+    *
+    * @return {Object} The cloud formation document.
+    */
+    loadDocument: function(filePath) {
+        if(typeof filePath !== 'string' || filePath.length <= 0) {
+            throw new Error('Invalid document path specified (arg #1)');
+        }
+        const ext = _path.extname(filePath);
+        let doc = null;
+
+        try {
+            const text = _fs.readFileSync(_path.resolve(filePath), 'utf8');
+            doc = (ext === '.yaml' || ext === '.yml')? _yamlUtils.load(text): JSON.parse(text);
+        } catch(ex) {
+            throw new Error(`Error loading document from file: [${filePath}]: ${ex.message}`);
+        }
+
+        if(!doc || (doc instanceof Array) || typeof doc !== 'object') {
+            throw new Error(`File does not contain a cloud formation document: [${filePath}]`);
+        }
+        return doc;
+    },
+
+   /**
+    * Creates a directory info object for the template tree at the specified
+    * path. The last component of the path is treated as the root directory
+    * of the template hierarchy.
+    *
+    * @param {String} root The path to the root of the template tree.
+    *
+    * @return {Object} A directory info object for the root of the tree.
+    */
+    createDirInfo: function(root) {
+        if(typeof root !== 'string' || root.length <= 0) {
+            throw new Error('Invalid template root specified (arg #1)');
+        }
+        const absPath = _path.resolve(root);
+        if(!_fs.existsSync(absPath) || !_fs.statSync(absPath).isDirectory()) {
+            throw new Error(`Template root is not a directory: [${root}]`);
+        }
+        return new DirInfo(_path.dirname(absPath), _path.basename(absPath));
+    },
+
+   /**
+    * Creates a template builder for the template tree at the specified path.
+    *
+    * @param {String} root The path to the root of the template tree.
+    * @param {Object} [dataBag={}] An optional data bag for the builder.
+    * @param {Array} [ignore=[]] An optional list of ignore patterns.
+    *
+    * @return {Object} A template builder for the tree.
+    */
+    createBuilder: function(root, dataBag, ignore) {
+        return new TemplateBuilder(cliUtils.createDirInfo(root), dataBag, {
+            ignore: ignore || []
+        });
+    },
+
+   /**
+    * Determines the output format, based on an explicitly specified format,
+    * or the extension of the output file.
+    *
+    * @param {String} [format] An optional output format ('json' or 'yaml').
+    * @param {String} [outFile] An optional output file path.
+    *
+    * @return {String} The output format.
+    */
+    getFormat: function(format, outFile) {
+        if(typeof format === 'string' && format.length > 0) {
+            format = format.toLowerCase();
+            if(format === 'yml') {
+                format = 'yaml';
+            }
+            if(OUTPUT_FORMATS.indexOf(format) < 0) {
+                throw new Error(`Invalid output format specified. Must be one of: [${OUTPUT_FORMATS}]`);
+            }
+            return format;
+        }
+        const ext = (typeof outFile === 'string')? _path.extname(outFile): '';
+        return (ext === '.yaml' || ext === '.yml')? 'yaml': 'json';
+    },
+
+   /**
+    * Serializes a cloud formation document.
+    *
+    * @param {Object} doc The cloud formation document.
+    * @param {String} format The output format ('json' or 'yaml').
+    * @param {Boolean} [pretty=false] Determines whether or not json output
+    *        is pretty printed. Yaml output is always indented.
+    *
+    * @return {String} The serialized document.
+    */
+    serialize: function(doc, format, pretty) {
+        if(format === 'yaml') {
+            return _yamlUtils.dump(doc);
+        }
+        return JSON.stringify(doc, null, pretty? 4: undefined) + '\n';
+    },
+
+   /**
+    * Writes text to a file, or to stdout if no file is specified.
+    *
+    * @param {String} text The text to write.
+    * @param {String} [outFile] An optional output file path.
+    *
+    * @return {Promise} A promise that is resolved once the text has been
+    *         written.
+    */
+    writeOutput: function(text, outFile) {
+        if(typeof outFile !== 'string' || outFile.length <= 0) {
+            process.stdout.write(text);
+            return Promise.resolve();
+        }
+        return new Promise((resolve, reject) => {
+            _fs.writeFile(_path.resolve(outFile), text, (err) => {
+                if(err) {
+                    reject(err);
+                    return;
+                }
+                resolve();
+            });
+        });
+    }
+};
+
+module.exports = cliUtils;
@@ -0,0 +1,137 @@
+'use strict';
+
+const _fs = require('fs');
+const _path = require('path');
+const Promise = require('bluebird').Promise;
+
+const StackAssembler = require('../stack-assembler');
+const _diffUtils = require('../utils/diff-utils');
+const _cliUtils = require('./cli-utils');
+
+/**
+ * Formats a value for display in a diff.
+ *
+ * @private
+ * @param {*} value The value to format.
+ *
+ * @return {String} The formatted value.
+ */
+function _formatValue(value) {
+    return JSON.stringify(value);
+}
+
+/**
+ * Formats a single change to a resource.
+ *
+ * @private
+ * @param {Object} change The change to format.
+ *
+ * @return {String} The formatted change.
+ */
+function _formatChange(change) {
+    let path = change.path;
+    if(change.attribute !== 'Properties') {
+        path = (path.length <= 0 || path.charAt(0) === '[')?
+                    `${change.attribute}${path}`: `${change.attribute}.${path}`;
+    }
+    const suffix = change.replacement? ' [requires replacement]': '';
+    if(change.kind === 'added') {
+        return `    + ${path}: ${_formatValue(change.after)}${suffix}`;
+    }
+    if(change.kind === 'removed') {
+        return `    - ${path}: ${_formatValue(change.before)}${suffix}`;
+    }
+    return `    ~ ${path}: ${_formatValue(change.before)} => ${_formatValue(change.after)}${suffix}`;
+}
+
+/**
+ * Command that compares two cloud formation documents, or template trees.
+ */
+const diffCommand = {
+
+   /**
+    * Formats the result of a diff as human readable text.
+    *
+    * @param {Object} diff The diff generated by `diffUtils.compare()`.
+    *
+    * @return {String} The formatted diff.
+    */
+    format: function(diff) {
+        const lines = [];
+        diff.added.forEach((resource) => {
+            lines.push(`+ ${resource.key} (${resource.type})`);
+        });
+        diff.removed.forEach((resource) => {
+            lines.push(`- ${resource.key} (${resource.type})`);
+        });
+        diff.modified.forEach((resource) => {
+            const suffix = resource.replacement? ' [requires replacement]': '';
+            lines.push(`~ ${resource.key} (${resource.type})${suffix}`);
+            resource.changes.forEach((change) => lines.push(_formatChange(change)));
+        });
+        const replaced = diff.modified.filter((resource) => resource.replacement).length;
+        lines.push(`${diff.added.length} added, ${diff.removed.length} removed, ${diff.modified.length} modified (${replaced} requiring replacement)`);
+        return lines.join('\n') + '\n';
+    },
+
+   /**
+    * Loads a cloud formation document from a file, or by building a
+    * template tree if the path points to a directory.
+    *
+    * @param {String} source The path to a document or a template tree.
+    * @param {Object} options The options passed to `run()`.
+    *
+    * @return {Promise} A promise that will be resolved with the document.
+    */
+    load: function(source, options) {
+        const absPath = _path.resolve(source);
+        if(!_fs.existsSync(absPath)) {
+            throw new Error(`File or directory does not exist: [${source}]`);
+        }
+        if(!_fs.statSync(absPath).isDirectory()) {
+            return Promise.resolve(_cliUtils.loadDocument(source));
+        }
+
+        const dataBag = _cliUtils.loadDataBag(options.data);
+        const builder = _cliUtils.createBuilder(source, dataBag, options.ignore);
+        const assembler = new StackAssembler({
+            dataBag: dataBag,
+            validation: options.validation
+        });
+        return builder.build().then((templates) => assembler.assemble(templates));
+    },
+
+   /**
+    * Compares two cloud formation documents, and writes a report of added,
+    * removed and modified resources to stdout. Either document may be
+    * replaced by a template tree, which will be built before comparison.
+    *
+    * @param {String} before The path to the original document or tree.
+    * @param {String} after The path to the updated document or tree.
+    * @param {Object} [options={}] Optional parameters for the command.
+    * @param {String} [options.data] The path to a data bag file, used when
+    *        building template trees.
+    * @param {Array} [options.ignore=[]] A list of glob patterns for files
+    *        and directories that will be ignored when building trees.
+    * @param {String} [options.validation='none'] The validation mode to use
+    *        when building trees.
+    * @param {Boolean} [options.json=false] Writes the diff as json instead
+    *        of human readable text.
+    *
+    * @return {Promise} A promise that will be resolved with the diff.
+    */
+    run: function(before, after, options) {
+        options = options || {};
+
+        return diffCommand.load(before, options).then((beforeDoc) => {
+            return diffCommand.load(after, options).then((afterDoc) => {
+                const diff = _diffUtils.compare(beforeDoc, afterDoc);
+                const text = options.json? JSON.stringify(diff, null, 4) + '\n':
+                                           diffCommand.format(diff);
+                return _cliUtils.writeOutput(text).then(() => diff);
+            });
+        });
+    }
+};
+
+module.exports = diffCommand;
@@ -0,0 +1,54 @@
+'use strict';
+
+const OpenApiExporter = require('../openapi/openapi-exporter');
+const _cliUtils = require('./cli-utils');
+
+/**
+ * Command that exports a template tree as an OpenAPI document.
+ */
+const exportCommand = {
+
+   /**
+    * Builds the template tree at the specified path, and writes an OpenAPI 3
+    * document for the api to a file or to stdout.
+    *
+    * @param {String} root The path to the root of the template tree.
+    * @param {Object} [options={}] Optional parameters for the command.
+    * @param {String} [options.out] The output file. The document will be
+    *        written to stdout if omitted.
+    * @param {String} [options.data] The path to a data bag file.
+    * @param {String} [options.format] The output format ('json' or 'yaml').
+    *        Defaults to the format implied by the output file extension.
+    * @param {Boolean} [options.pretty=false] Pretty prints json output.
+    * @param {Array} [options.ignore=[]] A list of glob patterns for files
+    *        and directories that will be ignored.
+    * @param {String} [options.restApi] The key of the rest api to export.
+    * @param {String} [options.version] The version of the api.
+    * @param {Boolean} [options.integration=false] Includes api gateway
+    *        integration extensions in the document.
+    *
+    * @return {Promise} A promise that will be resolved with the generated
+    *         document, or rejected if the build fails.
+    */
+    run: function(root, options) {
+        options = options || {};
+
+        const format = _cliUtils.getFormat(options.format, options.out);
+        const dataBag = _cliUtils.loadDataBag(options.data);
+        const builder = _cliUtils.createBuilder(root, dataBag, options.ignore);
+        const exporter = new OpenApiExporter({
+            dataBag: dataBag,
+            restApi: options.restApi,
+            version: options.version,
+            includeIntegration: options.integration
+        });
+
+        return builder.build().then((templates) => {
+            const doc = exporter.export(templates);
+            const text = _cliUtils.serialize(doc, format, options.pretty);
+            return _cliUtils.writeOutput(text, options.out).then(() => doc);
+        });
+    }
+};
+
+module.exports = exportCommand;
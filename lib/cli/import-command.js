@@ -0,0 +1,39 @@
+'use strict';
+
+const Promise = require('bluebird').Promise;
+const OpenApiImporter = require('../openapi/openapi-importer');
+
+/**
+ * Command that imports an OpenAPI specification into a template tree.
+ */
+const importCommand = {
+
+   /**
+    * Reads an OpenAPI specification, and scaffolds a template tree with
+    * resource, method and model templates for the api.
+    *
+    * @param {String} specFile The path to the specification (json or yaml).
+    * @param {String} root The path to the root of the template tree.
+    * @param {Object} [options={}] Optional parameters for the command.
+    * @param {Boolean} [options.overwrite=false] Overwrites existing files.
+    * @param {String} [options.library] The name of the module that
+    *        scaffolded files will require in order to access template
+    *        classes.
+    *
+    * @return {Promise} A promise that will be resolved with the list of
+    *         files written.
+    */
+    run: function(specFile, root, options) {
+        options = options || {};
+
+        const importer = new OpenApiImporter(OpenApiImporter.load(specFile), {
+            library: options.library
+        });
+        const files = importer.scaffold(root, options.overwrite);
+        files.forEach((file) => console.error(`  + ${file}`));
+
+        return Promise.resolve(files);
+    }
+};
+
+module.exports = importCommand;
@@ -38,6 +38,16 @@ class DirInfo {
         return this._dirPath;
     }
 
+    /**
+     * Gets the absolute path to the root directory of the template hierarchy
+     * (the directory at level 1).
+     *
+     * @return {String} The absolute path to the root directory.
+     */
+    get rootPath() {
+        return _path.join(this._templateRoot, this._pathTokens[0]);
+    }
+
     /**
      * Gets the path of the current directory, relative to the api root.
      *
@@ -10,6 +10,18 @@ const index = {
      */
     TemplateBuilder: require('./template-builder'),
 
+    /**
+     * Class that assembles a list of templates into a complete cloud
+     * formation document.
+     */
+    StackAssembler: require('./stack-assembler'),
+
+    /**
+     * Class that assembles a list of templates into a parent document and a
+     * set of nested stacks, partitioned by directory.
+     */
+    NestedStackAssembler: require('./nested-stack-assembler'),
+
     /**
      * Class that abstracts information about a specific directory in a
      * tmeplate hierarchy.
@@ -21,10 +33,81 @@ const index = {
      */
     Template: require('./templates/template'),
 
+    /**
+     * Reference to the template abstraction for cloud formation parameters.
+     */
+    ParameterTemplate: require('./templates/parameter-template'),
+
+    /**
+     * Reference to the template abstraction for cloud formation mappings.
+     */
+    MappingTemplate: require('./templates/mapping-template'),
+
+    /**
+     * Reference to the template abstraction for cloud formation conditions.
+     */
+    ConditionTemplate: require('./templates/condition-template'),
+
+    /**
+     * Reference to the template abstraction for cloud formation outputs.
+     */
+    OutputTemplate: require('./templates/output-template'),
+
+    /**
+     * Reference to a utility module that helps with cross stack exports and
+     * imports.
+     */
+    stackUtils: require('./utils/stack-utils'),
+
+    /**
+     * Reference to a module with builders for cloud formation intrinsic
+     * functions and pseudo parameters.
+     */
+    fn: require('./utils/fn'),
+
+    /**
+     * Reference to a utility module that converts cloud formation documents
+     * to and from yaml.
+     */
+    yamlUtils: require('./utils/yaml-utils'),
+
+    /**
+     * Reference to a utility module that normalizes cross origin resource
+     * sharing (CORS) options for api gateway resources.
+     */
+    corsUtils: require('./utils/cors-utils'),
+
+    /**
+     * Reference to a utility module that computes structural differences
+     * between cloud formation documents.
+     */
+    diffUtils: require('./utils/diff-utils'),
+
+    /**
+     * Class that imports an OpenAPI specification into api gateway
+     * templates, either in memory or as a template tree.
+     */
+    OpenApiImporter: require('./openapi/openapi-importer'),
+
+    /**
+     * Class that exports api gateway templates as an OpenAPI 3 document.
+     */
+    OpenApiExporter: require('./openapi/openapi-exporter'),
+
     /**
      * Reference to a sub library of api gateway specific templates.
      */
-    ApiGatewayTemplates: require('./templates/api-gateway')
+    ApiGatewayTemplates: require('./templates/api-gateway'),
+
+    /**
+     * Reference to a sub library of lambda specific templates.
+     */
+    LambdaTemplates: require('./templates/lambda'),
+
+    /**
+     * Reference to a sub library of IAM specific templates.
+     */
+    IamTemplates: require('./templates/iam')
 };
 
 module.exports = index;
@@ -0,0 +1,537 @@
+'use strict';
+
+const _path = require('path');
+const _clone = require('clone');
+const _camelCase = require('camelcase');
+const _loggerProvider = require('wysknd-common').loggerProvider;
+const StackAssembler = require('./stack-assembler');
+
+const STACK_TYPE = 'AWS::CloudFormation::Stack';
+const PARENT_PARTITION = '';
+const MAX_RESOURCES = 500;
+const MAX_TEMPLATE_SIZE = 1000000;
+const SUB_VARIABLE_PATTERN = /\$\{([^!}][^}]*)\}/g;
+
+/**
+ * Class that assembles a list of templates into a parent cloud formation
+ * document and a set of nested (child) stacks. Resources are partitioned
+ * along directory boundaries - all resources loaded from files under the same
+ * directory (at the configured depth) are placed in the same child stack,
+ * while resources loaded from shallower directories remain in the parent.
+ *
+ * References (Ref, Fn::GetAtt, Fn::Sub and DependsOn) that cross partition
+ * boundaries are rewritten automatically. Child stacks receive foreign values
+ * as stack parameters, and expose values needed by other stacks as outputs.
+ */
+class NestedStackAssembler {
+    /**
+     * @param {Object} options Configuration for the assembler. All options
+     *        supported by the StackAssembler are accepted, in addition to
+     *        the options listed below.
+     * @param {String|Function} options.templateUrl A prefix for the urls of
+     *        the child templates, or a function that accepts a child template
+     *        file name and returns the url (string or intrinsic function).
+     * @param {Number} [options.depth=2] The directory level at which
+     *        resources are partitioned. A depth of 2 creates one child stack
+     *        for every directory under the root of the template hierarchy.
+     * @param {String} [options.extension='.json'] The file extension used
+     *        for child template file names.
+     */
+    constructor(options) {
+        if(!options || (options instanceof Array) || typeof options !== 'object') {
+            throw new Error('Invalid options specified (arg #1)');
+        }
+        const templateUrl = options.templateUrl;
+        if(typeof templateUrl !== 'function' &&
+           (typeof templateUrl !== 'string' || templateUrl.length <= 0)) {
+            throw new Error('Invalid template url specified (options.templateUrl)');
+        }
+        const depth = (typeof options.depth === 'undefined')? 2: options.depth;
+        if(typeof depth !== 'number' || depth < 2 || Math.floor(depth) !== depth) {
+            throw new Error('Invalid depth specified (options.depth). Must be an integer >= 2');
+        }
+
+        this._logger = _loggerProvider.getLogger('nested_stack_assembler');
+        this._assembler = new StackAssembler(options);
+        this._templateUrl = templateUrl;
+        this._depth = depth;
+        this._extension = options.extension || '.json';
+
+        this._owners = {};
+        this._parameters = {};
+        this._partitions = {};
+    }
+
+    /**
+     * Determines the partition to which a template belongs, based on the
+     * directory of the file from which it was loaded.
+     *
+     * @private
+     * @param {Object} template The template.
+     *
+     * @return {String} The partition id (relative directory path), or an
+     *         empty string for the parent stack.
+     */
+    _getPartitionId(template) {
+        if(template.section !== 'Resources' || !template.source) {
+            return PARENT_PARTITION;
+        }
+        const dirTokens = _path.dirname(template.source).split(_path.sep);
+        if(dirTokens.length < this._depth) {
+            return PARENT_PARTITION;
+        }
+        return dirTokens.slice(0, this._depth).join('/');
+    }
+
+    /**
+     * Creates an object that tracks the contents of a single partition.
+     *
+     * @private
+     * @param {String} id The partition id.
+     *
+     * @return {Object} The partition object.
+     */
+    _createPartition(id) {
+        // The first token is the name of the root directory, which is common
+        // to all partitions.
+        const name = id.split('/').slice(1).join('-');
+        const fileName = `${name}${this._extension}`;
+        return {
+            id: id,
+            name: name,
+            fileName: fileName,
+            stackId: _camelCase(`${name}-stack`),
+            resources: {},
+            parameters: {},
+            outputs: {},
+            stackDependencies: {},
+            dependencies: {}
+        };
+    }
+
+    /**
+     * Gets the template url for a child template.
+     *
+     * @private
+     * @param {String} fileName The file name of the child template.
+     *
+     * @return {String|Object} The template url.
+     */
+    _getTemplateUrl(fileName) {
+        if(typeof this._templateUrl === 'function') {
+            return this._templateUrl(fileName);
+        }
+        return `${this._templateUrl}${fileName}`;
+    }
+
+    /**
+     * Generates a name for a parameter or output that carries the value of
+     * a resource attribute across stacks.
+     *
+     * @private
+     * @param {String} logicalId The logical id of the resource.
+     * @param {String} attribute The attribute name.
+     *
+     * @return {String} The parameter/output name.
+     */
+    _getAttributeName(logicalId, attribute) {
+        return `${logicalId}${attribute.replace(/[^A-Za-z0-9]/g, '')}`;
+    }
+
+    /**
+     * Declares a parent stack parameter on a child stack, so that the
+     * parameter can be referenced by resources in the child.
+     *
+     * @private
+     * @param {Object} partition The child partition.
+     * @param {String} name The name of the parameter.
+     */
+    _addParentParameter(partition, name) {
+        const definition = this._parameters[name];
+        const type = definition.Type;
+        const isList = type.indexOf('List<') === 0 || type === 'CommaDelimitedList';
+        const childDefinition = {
+            Type: type
+        };
+        if(definition.NoEcho) {
+            childDefinition.NoEcho = definition.NoEcho;
+        }
+        partition.parameters[name] = {
+            definition: childDefinition,
+            value: isList? { 'Fn::Join': [ ',', { Ref: name } ] }: { Ref: name }
+        };
+    }
+
+    /**
+     * Resolves a reference to a resource (or a resource attribute) from
+     * within a partition. If the resource belongs to a different partition,
+     * parameters and outputs are declared as necessary to carry the value
+     * across stacks.
+     *
+     * @private
+     * @param {Object} partition The partition that contains the reference.
+     * @param {String} logicalId The logical id of the referenced entity.
+     * @param {String} [attribute] The referenced attribute, if any.
+     *
+     * @return {Object} An object with the replacement value for the
+     *         reference (value) and the replacement variable name for use
+     *         in substitutions (subName), or null if no replacement is
+     *         necessary.
+     */
+    _resolveReference(partition, logicalId, attribute) {
+        const owner = this._owners[logicalId];
+        if(typeof owner === 'undefined') {
+            if(partition.id !== PARENT_PARTITION && typeof attribute === 'undefined' &&
+               this._parameters.hasOwnProperty(logicalId)) {
+                this._addParentParameter(partition, logicalId);
+            }
+            return null;
+        }
+        if(owner === partition.id) {
+            return null;
+        }
+
+        const hasAttribute = (typeof attribute !== 'undefined');
+        const name = hasAttribute? this._getAttributeName(logicalId, attribute): logicalId;
+        const value = hasAttribute? { 'Fn::GetAtt': [ logicalId, attribute ] }:
+                                    { Ref: logicalId };
+        let parentValue = value;
+        let parentSubName = hasAttribute? `${logicalId}.${attribute}`: logicalId;
+
+        if(owner !== PARENT_PARTITION) {
+            const source = this._partitions[owner];
+            source.outputs[name] = value;
+            parentValue = { 'Fn::GetAtt': [ source.stackId, `Outputs.${name}` ] };
+            parentSubName = `${source.stackId}.Outputs.${name}`;
+            partition.dependencies[owner] = true;
+        }
+
+        if(partition.id === PARENT_PARTITION) {
+            return {
+                value: parentValue,
+                subName: parentSubName
+            };
+        }
+
+        partition.parameters[name] = {
+            definition: { Type: 'String' },
+            value: parentValue
+        };
+        return {
+            value: { Ref: name },
+            subName: name
+        };
+    }
+
+    /**
+     * Rewrites variables in a substitution string that refer to resources
+     * in other partitions.
+     *
+     * @private
+     * @param {Object} partition The partition that contains the string.
+     * @param {String} text The substitution string.
+     * @param {Object} variables The explicit variable map of the
+     *        substitution. Variables in this map are not rewritten.
+     *
+     * @return {String} The rewritten string.
+     */
+    _rewriteSub(partition, text, variables) {
+        return text.replace(SUB_VARIABLE_PATTERN, (match, name) => {
+            name = name.trim();
+            if(variables.hasOwnProperty(name)) {
+                return match;
+            }
+            const index = name.indexOf('.');
+            const ref = (index < 0)?
+                            this._resolveReference(partition, name):
+                            this._resolveReference(partition, name.substring(0, index),
+                                                   name.substring(index + 1));
+            return ref? `\${${ref.subName}}`: match;
+        });
+    }
+
+    /**
+     * Recursively rewrites intrinsic functions within a value that refer to
+     * resources in other partitions.
+     *
+     * @private
+     * @param {Object} partition The partition that contains the value.
+     * @param {*} value The value to rewrite.
+     *
+     * @return {*} The rewritten value.
+     */
+    _rewrite(partition, value) {
+        if(value instanceof Array) {
+            return value.map((item) => this._rewrite(partition, item));
+        }
+        if(!value || typeof value !== 'object') {
+            return value;
+        }
+
+        const keys = Object.keys(value);
+        if(keys.length === 1) {
+            const args = value[keys[0]];
+            if(keys[0] === 'Ref' && typeof args === 'string') {
+                const ref = this._resolveReference(partition, args);
+                return ref? ref.value: value;
+            }
+            if(keys[0] === 'Fn::GetAtt' && (args instanceof Array) &&
+               typeof args[0] === 'string' && typeof args[1] === 'string') {
+                const ref = this._resolveReference(partition, args[0], args[1]);
+                return ref? ref.value: value;
+            }
+            if(keys[0] === 'Fn::Sub' && typeof args === 'string') {
+                return { 'Fn::Sub': this._rewriteSub(partition, args, {}) };
+            }
+            if(keys[0] === 'Fn::Sub' && (args instanceof Array) &&
+               typeof args[0] === 'string') {
+                const variables = this._rewrite(partition, args[1] || {});
+                return {
+                    'Fn::Sub': [ this._rewriteSub(partition, args[0], variables), variables ]
+                };
+            }
+        }
+
+        const result = {};
+        keys.forEach((key) => {
+            result[key] = this._rewrite(partition, value[key]);
+        });
+        return result;
+    }
+
+    /**
+     * Rewrites the DependsOn attribute of a resource. Dependencies on
+     * resources in other partitions are replaced by dependencies on the
+     * corresponding stacks.
+     *
+     * @private
+     * @param {Object} partition The partition that contains the resource.
+     * @param {Object} resource The resource declaration.
+     */
+    _rewriteDependencies(partition, resource) {
+        if(typeof resource.DependsOn === 'undefined') {
+            return;
+        }
+        let dependencies = resource.DependsOn;
+        if(!(dependencies instanceof Array)) {
+            dependencies = [ dependencies ];
+        }
+
+        const result = [];
+        const add = (list, item) => {
+            if(list.indexOf(item) < 0) {
+                list.push(item);
+            }
+        };
+        dependencies.forEach((dependency) => {
+            const owner = this._owners[dependency];
+            if(typeof owner === 'undefined' || owner === partition.id) {
+                add(result, dependency);
+            } else if(partition.id === PARENT_PARTITION) {
+                add(result, this._partitions[owner].stackId);
+            } else if(owner === PARENT_PARTITION) {
+                partition.stackDependencies[dependency] = true;
+            } else {
+                partition.stackDependencies[this._partitions[owner].stackId] = true;
+                partition.dependencies[owner] = true;
+            }
+        });
+
+        if(result.length > 0) {
+            resource.DependsOn = result;
+        } else {
+            delete resource.DependsOn;
+        }
+    }
+
+    /**
+     * Checks for circular dependencies between child stacks.
+     *
+     * @private
+     * @throws {Error} If a circular dependency is found.
+     */
+    _checkCircularDependencies() {
+        const visited = {};
+        const visit = (id, path) => {
+            if(path.indexOf(id) >= 0) {
+                const cycle = path.slice(path.indexOf(id)).concat(id);
+                throw new Error(`Circular dependency between nested stacks: [${cycle.join(' -> ')}]`);
+            }
+            if(visited[id]) {
+                return;
+            }
+            visited[id] = true;
+            Object.keys(this._partitions[id].dependencies).forEach((dependency) => {
+                visit(dependency, path.concat(id));
+            });
+        };
+        Object.keys(this._partitions).forEach((id) => visit(id, []));
+    }
+
+    /**
+     * Verifies that a document is within cloud formation limits.
+     *
+     * @private
+     * @param {String} name The name of the document (used for reporting).
+     * @param {Object} doc The document to check.
+     *
+     * @throws {Error} If the document exceeds the limits.
+     */
+    _checkLimits(name, doc) {
+        const resourceCount = Object.keys(doc.Resources).length;
+        if(resourceCount > MAX_RESOURCES) {
+            throw new Error(`Stack [${name}] has [${resourceCount}] resources, which exceeds the limit of [${MAX_RESOURCES}]. Consider increasing the partition depth.`);
+        }
+        const size = JSON.stringify(doc).length;
+        if(size > MAX_TEMPLATE_SIZE) {
+            throw new Error(`Stack [${name}] has a template size of [${size}] bytes, which exceeds the limit of [${MAX_TEMPLATE_SIZE}]. Consider increasing the partition depth.`);
+        }
+    }
+
+    /**
+     * Returns the list of warnings generated by the last assembly, when the
+     * assembler is in 'report' validation mode.
+     *
+     * @return {Array} The list of warnings.
+     */
+    get warnings() {
+        return this._assembler.warnings;
+    }
+
+    /**
+     * Assembles a parent document and a set of child documents from a list of
+     * templates.
+     *
+     * @param {Array} templates The list of templates to assemble.
+     *
+     * @return {Object} An object with the parent document (parent), and a
+     *         map of child template file names to child documents (children).
+     */
+    assemble(templates) {
+        const doc = this._assembler.assemble(templates);
+
+        this._owners = {};
+        this._partitions = {};
+        this._parameters = doc.Parameters || {};
+
+        this._assembler.templates.forEach((template) => {
+            if(template.section !== 'Resources') {
+                return;
+            }
+            const id = this._getPartitionId(template);
+            this._owners[template.key] = id;
+            if(id !== PARENT_PARTITION && !this._partitions[id]) {
+                this._partitions[id] = this._createPartition(id);
+            }
+        });
+
+        const partitionIds = Object.keys(this._partitions).sort();
+        partitionIds.forEach((id) => {
+            const stackId = this._partitions[id].stackId;
+            if(doc.Resources.hasOwnProperty(stackId)) {
+                throw new Error(`Nested stack logical id [${stackId}] conflicts with an existing resource`);
+            }
+        });
+
+        const parent = this._createPartition(PARENT_PARTITION);
+
+        Object.keys(doc.Resources).forEach((key) => {
+            const id = this._owners[key];
+            const partition = (id && this._partitions[id]) || parent;
+            const resource = _clone(doc.Resources[key]);
+            Object.keys(resource).forEach((attr) => {
+                if(attr !== 'DependsOn' && attr !== 'Type' && attr !== 'Condition') {
+                    resource[attr] = this._rewrite(partition, resource[attr]);
+                }
+            });
+            this._rewriteDependencies(partition, resource);
+            partition.resources[key] = resource;
+        });
+
+        const parentOutputs = this._rewrite(parent, doc.Outputs || {});
+        const childConditions = {};
+        partitionIds.forEach((id) => {
+            childConditions[id] = this._rewrite(this._partitions[id], doc.Conditions || {});
+        });
+
+        this._checkCircularDependencies();
+
+        const children = {};
+        partitionIds.forEach((id) => {
+            const partition = this._partitions[id];
+            const child = {
+                AWSTemplateFormatVersion: doc.AWSTemplateFormatVersion
+            };
+            if(typeof doc.Description === 'string') {
+                child.Description = `${doc.Description} (${partition.name})`;
+            }
+
+            const parameters = {};
+            const parameterValues = {};
+            Object.keys(partition.parameters).sort().forEach((name) => {
+                parameters[name] = partition.parameters[name].definition;
+                parameterValues[name] = partition.parameters[name].value;
+            });
+            if(Object.keys(parameters).length > 0) {
+                child.Parameters = parameters;
+            }
+            if(doc.Mappings) {
+                child.Mappings = _clone(doc.Mappings);
+            }
+            if(Object.keys(childConditions[id]).length > 0) {
+                child.Conditions = childConditions[id];
+            }
+            child.Resources = partition.resources;
+
+            const outputs = {};
+            Object.keys(partition.outputs).sort().forEach((name) => {
+                outputs[name] = {
+                    Value: partition.outputs[name]
+                };
+            });
+            if(Object.keys(outputs).length > 0) {
+                child.Outputs = outputs;
+            }
+
+            this._checkLimits(partition.fileName, child);
+            children[partition.fileName] = child;
+
+            const stack = {
+                Type: STACK_TYPE,
+                Properties: {
+                    TemplateURL: this._getTemplateUrl(partition.fileName)
+                }
+            };
+            if(Object.keys(parameterValues).length > 0) {
+                stack.Properties.Parameters = parameterValues;
+            }
+            const stackDependencies = Object.keys(partition.stackDependencies).sort();
+            if(stackDependencies.length > 0) {
+                stack.DependsOn = stackDependencies;
+            }
+            parent.resources[partition.stackId] = stack;
+        });
+
+        const parentDoc = {};
+        Object.keys(doc).forEach((section) => {
+            if(section === 'Resources') {
+                parentDoc.Resources = parent.resources;
+            } else if(section === 'Outputs') {
+                parentDoc.Outputs = parentOutputs;
+            } else {
+                parentDoc[section] = doc[section];
+            }
+        });
+        this._checkLimits('parent', parentDoc);
+
+        this._logger.info('Nested stacks assembled', {
+            children: Object.keys(children)
+        });
+        return {
+            parent: parentDoc,
+            children: children
+        };
+    }
+}
+
+module.exports = NestedStackAssembler;
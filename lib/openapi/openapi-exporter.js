@@ -0,0 +1,448 @@
+'use strict';
+
+const _clone = require('clone');
+const _loggerProvider = require('wysknd-common').loggerProvider;
+
+const StackAssembler = require('../stack-assembler');
+
+const OPENAPI_VERSION = '3.0.1';
+const SCHEMA_REF_PREFIX = '#/components/schemas/';
+const MODEL_REF_PATTERN = /\/models\/([A-Za-z0-9]+)$/;
+const REQUEST_PARAM_PATTERN = /^method\.request\.(path|querystring|header)\.(.+)$/;
+const RESPONSE_HEADER_PATTERN = /^method\.response\.header\.(.+)$/;
+const PARAMETER_LOCATIONS = {
+    path: 'path',
+    querystring: 'query',
+    header: 'header'
+};
+const IAM_SECURITY_SCHEME = 'sigv4';
+
+/**
+ * Schemas for models that are built into api gateway, and may be referenced
+ * without being declared.
+ */
+const BUILT_IN_MODELS = {
+    Empty: {
+        type: 'object'
+    },
+    Error: {
+        type: 'object',
+        properties: {
+            message: { type: 'string' }
+        }
+    }
+};
+
+/**
+ * Checks if a value is a reference to a specific resource attribute.
+ *
+ * @private
+ * @param {*} value The value to check.
+ * @param {String} attribute The name of the attribute.
+ *
+ * @return {Boolean} True if the value is a get attribute function for the
+ *         specified attribute.
+ */
+function _isGetAtt(value, attribute) {
+    const args = value && value['Fn::GetAtt'];
+    return (args instanceof Array) && args[1] === attribute;
+}
+
+/**
+ * Class that generates an OpenAPI 3 document from api gateway templates.
+ * Paths are reconstructed from the resource hierarchy, parameters from the
+ * request parameters of the methods, request and response bodies from
+ * models, and security schemes from authorizers.
+ */
+class OpenApiExporter {
+    /**
+     * @param {Object} [options={}] Optional parameters for the exporter.
+     * @param {Object} [options.dataBag={}] A data bag used to resolve tokens
+     *        in the templates.
+     * @param {String} [options.restApi] The key of the rest api template to
+     *        export. Required only if the templates declare more than one
+     *        rest api.
+     * @param {String} [options.version='1.0.0'] The version of the api, as
+     *        reported in the document info.
+     * @param {Boolean} [options.includeIntegration=false] Determines whether
+     *        or not api gateway integration extensions
+     *        (x-amazon-apigateway-integration) are included.
+     */
+    constructor(options) {
+        options = options || {};
+
+        this._logger = _loggerProvider.getLogger('openapi_exporter');
+        this._dataBag = options.dataBag || {};
+        this._restApi = options.restApi;
+        this._version = options.version || '1.0.0';
+        this._includeIntegration = !!options.includeIntegration;
+    }
+
+    /**
+     * Converts a model schema into an OpenAPI schema, rewriting model
+     * references into component schema references.
+     *
+     * @private
+     * @param {*} schema The schema to convert.
+     *
+     * @return {*} The converted schema.
+     */
+    _convertSchema(schema) {
+        if(schema instanceof Array) {
+            return schema.map((item) => this._convertSchema(item));
+        }
+        if(!schema || typeof schema !== 'object') {
+            return schema;
+        }
+        const result = {};
+        Object.keys(schema).forEach((key) => {
+            let value = schema[key];
+            if(key === '$schema') {
+                return;
+            }
+            if(key === '$ref') {
+                // Model references are rewritten into Fn::Sub model urls.
+                const sub = value && value['Fn::Sub'];
+                if(typeof sub === 'string') {
+                    value = sub;
+                } else if(sub instanceof Array) {
+                    value = sub[0];
+                }
+                const match = (typeof value === 'string')? value.match(MODEL_REF_PATTERN): null;
+                result.$ref = match? `${SCHEMA_REF_PREFIX}${match[1]}`: value;
+                return;
+            }
+            if(key === 'type' && (value instanceof Array) && value.indexOf('null') >= 0) {
+                const types = value.filter((type) => type !== 'null');
+                result.type = (types.length === 1)? types[0]: types;
+                result.nullable = true;
+                return;
+            }
+            result[key] = this._convertSchema(value);
+        });
+        return result;
+    }
+
+    /**
+     * Gets the api path for a resource reference.
+     *
+     * @private
+     * @param {Object} resourceId A reference to a resource, or to the root
+     *        resource of the api.
+     * @param {Object} resources A map of resource logical ids to resource
+     *        declarations.
+     *
+     * @return {String} The api path.
+     */
+    _getPath(resourceId, resources) {
+        const ref = resourceId && resourceId.Ref;
+        if(typeof ref !== 'string') {
+            if(!_isGetAtt(resourceId, 'RootResourceId') && !(resourceId && resourceId['Fn::ImportValue'])) {
+                this._logger.warn('Unable to resolve resource reference. Assuming root resource', {
+                    resourceId: resourceId
+                });
+            }
+            return '';
+        }
+        const resource = resources[ref];
+        if(!resource) {
+            this._logger.warn(`Resource not found: [${ref}]. Assuming root resource`);
+            return '';
+        }
+        const props = resource.Properties;
+        return `${this._getPath(props.ParentId, resources)}/${props.PathPart}`;
+    }
+
+    /**
+     * Generates the security scheme for an authorizer.
+     *
+     * @private
+     * @param {Object} props The properties of the authorizer.
+     *
+     * @return {Object} The security scheme.
+     */
+    _createSecurityScheme(props) {
+        const type = (props.Type || 'TOKEN').toLowerCase();
+        const identitySource = (typeof props.IdentitySource === 'string')?
+                                    props.IdentitySource: '';
+        const header = identitySource.match(/^method\.request\.header\.([^,\s]+)$/);
+        const scheme = {
+            type: 'apiKey',
+            name: header? header[1]: 'Unused',
+            in: 'header',
+            'x-amazon-apigateway-authtype': (type === 'cognito_user_pools')? type: 'custom'
+        };
+
+        if(this._includeIntegration) {
+            const authorizer = { type: type };
+            if(type === 'cognito_user_pools') {
+                authorizer.providerARNs = props.ProviderARNs;
+            } else {
+                authorizer.authorizerUri = props.AuthorizerUri;
+                authorizer.authorizerCredentials = props.AuthorizerCredentials;
+                const ttl = props.AuthorizerResultTtlInSeconds;
+                authorizer.authorizerResultTtlInSeconds = isNaN(ttl)? ttl: Number(ttl);
+            }
+            if(type === 'request') {
+                authorizer.identitySource = props.IdentitySource;
+            }
+            authorizer.identityValidationExpression = props.IdentityValidationExpression;
+            Object.keys(authorizer).forEach((key) => {
+                if(typeof authorizer[key] === 'undefined' || authorizer[key] === null) {
+                    delete authorizer[key];
+                }
+            });
+            scheme['x-amazon-apigateway-authorizer'] = authorizer;
+        }
+        return scheme;
+    }
+
+    /**
+     * Generates the integration extension for a method.
+     *
+     * @private
+     * @param {Object} integration The integration properties of the method.
+     *
+     * @return {Object} The integration extension.
+     */
+    _createIntegration(integration) {
+        const result = {
+            type: (integration.Type || 'AWS').toLowerCase(),
+            httpMethod: integration.IntegrationHttpMethod,
+            uri: integration.Uri,
+            credentials: integration.Credentials,
+            passthroughBehavior: (typeof integration.PassthroughBehavior === 'string')?
+                                    integration.PassthroughBehavior.toLowerCase(): undefined,
+            requestParameters: integration.RequestParameters,
+            requestTemplates: integration.RequestTemplates,
+            cacheKeyParameters: integration.CacheKeyParameters,
+            contentHandling: integration.ContentHandling,
+            connectionType: integration.ConnectionType,
+            timeoutInMillis: integration.TimeoutInMillis,
+            tlsConfig: integration.TlsConfig? {
+                insecureSkipVerification: integration.TlsConfig.InsecureSkipVerification
+            }: undefined
+        };
+        if(integration.IntegrationResponses instanceof Array) {
+            result.responses = {};
+            integration.IntegrationResponses.forEach((response) => {
+                const pattern = response.SelectionPattern || 'default';
+                result.responses[pattern] = {
+                    statusCode: response.StatusCode,
+                    responseParameters: response.ResponseParameters,
+                    responseTemplates: response.ResponseTemplates,
+                    contentHandling: response.ContentHandling
+                };
+            });
+        }
+        return JSON.parse(JSON.stringify(result));
+    }
+
+    /**
+     * Generates an OpenAPI operation for a method.
+     *
+     * @private
+     * @param {String} key The logical id of the method.
+     * @param {Object} props The properties of the method.
+     * @param {Object} authorizers A map of authorizer logical ids to
+     *        security scheme names.
+     * @param {Object} document The document being generated.
+     *
+     * @return {Object} The operation.
+     */
+    _createOperation(key, props, authorizers, document) {
+        const operation = {
+            operationId: key
+        };
+        const components = document.components;
+
+        const requestParams = props.RequestParameters || {};
+        const parameters = Object.keys(requestParams).map((name) => {
+            const match = name.match(REQUEST_PARAM_PATTERN);
+            if(!match) {
+                return null;
+            }
+            const location = PARAMETER_LOCATIONS[match[1]];
+            return {
+                name: match[2],
+                in: location,
+                required: (location === 'path') || !!requestParams[name],
+                schema: { type: 'string' }
+            };
+        }).filter((param) => !!param);
+        if(parameters.length > 0) {
+            operation.parameters = parameters;
+        }
+
+        const getContent = (models) => {
+            const content = {};
+            Object.keys(models).forEach((contentType) => {
+                const name = models[contentType];
+                if(BUILT_IN_MODELS[name] && !components.schemas[name]) {
+                    components.schemas[name] = _clone(BUILT_IN_MODELS[name]);
+                }
+                content[contentType] = {
+                    schema: { $ref: `${SCHEMA_REF_PREFIX}${name}` }
+                };
+            });
+            return content;
+        };
+
+        if(props.RequestModels && Object.keys(props.RequestModels).length > 0) {
+            operation.requestBody = {
+                content: getContent(props.RequestModels)
+            };
+        }
+
+        operation.responses = {};
+        (props.MethodResponses || []).forEach((response) => {
+            const result = {
+                description: `${response.StatusCode} response`
+            };
+            const responseParams = response.ResponseParameters || {};
+            Object.keys(responseParams).forEach((name) => {
+                const match = name.match(RESPONSE_HEADER_PATTERN);
+                if(match) {
+                    result.headers = result.headers || {};
+                    result.headers[match[1]] = { schema: { type: 'string' } };
+                }
+            });
+            if(response.ResponseModels && Object.keys(response.ResponseModels).length > 0) {
+                result.content = getContent(response.ResponseModels);
+            }
+            operation.responses[response.StatusCode] = result;
+        });
+        if(Object.keys(operation.responses).length <= 0) {
+            operation.responses.default = { description: 'Default response' };
+        }
+
+        if(props.AuthorizationType === 'AWS_IAM') {
+            components.securitySchemes[IAM_SECURITY_SCHEME] = {
+                type: 'apiKey',
+                name: 'Authorization',
+                in: 'header',
+                'x-amazon-apigateway-authtype': 'awsSigv4'
+            };
+            operation.security = [ { [IAM_SECURITY_SCHEME]: [] } ];
+        } else if(props.AuthorizerId && authorizers[props.AuthorizerId.Ref]) {
+            const scheme = authorizers[props.AuthorizerId.Ref];
+            operation.security = [ { [scheme]: props.AuthorizationScopes || [] } ];
+        }
+        if(props.ApiKeyRequired === true) {
+            components.securitySchemes.api_key = {
+                type: 'apiKey',
+                name: 'x-api-key',
+                in: 'header'
+            };
+            operation.security = operation.security || [ {} ];
+            operation.security.forEach((requirement) => {
+                requirement.api_key = [];
+            });
+        }
+
+        if(this._includeIntegration && props.Integration) {
+            operation['x-amazon-apigateway-integration'] = this._createIntegration(props.Integration);
+        }
+
+        return operation;
+    }
+
+    /**
+     * Generates an OpenAPI 3 document from a list of templates.
+     *
+     * @param {Array} templates The list of templates.
+     *
+     * @return {Object} The OpenAPI document.
+     */
+    export(templates) {
+        const doc = new StackAssembler({ dataBag: this._dataBag }).assemble(templates);
+        const resources = doc.Resources || {};
+        const keys = Object.keys(resources);
+        const ofType = (type) => keys.filter((key) => resources[key].Type === `AWS::ApiGateway::${type}`);
+
+        const apis = ofType('RestApi');
+        let apiKey = this._restApi;
+        if(typeof apiKey === 'string') {
+            if(apis.indexOf(apiKey) < 0) {
+                throw new Error(`Rest api not found: [${apiKey}]`);
+            }
+        } else if(apis.length > 1) {
+            throw new Error(`Multiple rest apis found. Specify the api to export: [${apis}]`);
+        } else {
+            apiKey = apis[0];
+        }
+        const belongsToApi = (key) => {
+            const restApiId = resources[key].Properties.RestApiId;
+            return !apiKey || (restApiId && restApiId.Ref === apiKey);
+        };
+
+        const api = apiKey? resources[apiKey].Properties: {};
+        const document = {
+            openapi: OPENAPI_VERSION,
+            info: {
+                title: (typeof api.Name === 'string')? api.Name: (apiKey || 'api'),
+                version: this._version
+            },
+            paths: {},
+            components: {
+                schemas: {},
+                securitySchemes: {}
+            }
+        };
+        if(typeof api.Description === 'string' && api.Description.length > 0) {
+            document.info.description = api.Description;
+        }
+
+        ofType('Model').filter(belongsToApi).forEach((key) => {
+            const props = resources[key].Properties;
+            const schema = this._convertSchema(props.Schema || {});
+            if(typeof props.Description === 'string' && props.Description.length > 0 &&
+               props.Description !== props.Name && typeof schema.description === 'undefined') {
+                schema.description = props.Description;
+            }
+            document.components.schemas[props.Name] = schema;
+        });
+
+        const authorizers = {};
+        ofType('Authorizer').filter(belongsToApi).forEach((key) => {
+            const props = resources[key].Properties;
+            const name = (typeof props.Name === 'string')? props.Name: key;
+            authorizers[key] = name;
+            document.components.securitySchemes[name] = this._createSecurityScheme(props);
+        });
+
+        ofType('Method').filter(belongsToApi).forEach((key) => {
+            const props = resources[key].Properties;
+            if(typeof props.HttpMethod !== 'string' || props.HttpMethod.length <= 0) {
+                this._logger.warn(`Skipping method without an http verb: [${key}]`);
+                return;
+            }
+            const path = this._getPath(props.ResourceId, resources) || '/';
+            const verb = (props.HttpMethod === 'ANY')? 'x-amazon-apigateway-any-method':
+                                                       props.HttpMethod.toLowerCase();
+            document.paths[path] = document.paths[path] || {};
+            document.paths[path][verb] = this._createOperation(key, props, authorizers, document);
+        });
+
+        const paths = document.paths;
+        document.paths = {};
+        Object.keys(paths).sort().forEach((path) => {
+            document.paths[path] = paths[path];
+        });
+        [ 'schemas', 'securitySchemes' ].forEach((section) => {
+            if(Object.keys(document.components[section]).length <= 0) {
+                delete document.components[section];
+            }
+        });
+        if(Object.keys(document.components).length <= 0) {
+            delete document.components;
+        }
+
+        this._logger.info('OpenAPI document generated', {
+            paths: Object.keys(document.paths).length
+        });
+        return document;
+    }
+}
+
+module.exports = OpenApiExporter;
@@ -0,0 +1,615 @@
+'use strict';
+
+const _fs = require('fs');
+const _path = require('path');
+const _clone = require('clone');
+const _loggerProvider = require('wysknd-common').loggerProvider;
+
+const DirInfo = require('../dir-info');
+const TemplateBuilder = require('../template-builder');
+const _yamlUtils = require('../utils/yaml-utils');
+const ApiGatewayTemplates = require('../templates/api-gateway');
+
+const HTTP_VERBS = [ 'get', 'put', 'post', 'delete', 'options', 'head', 'patch' ];
+const ANY_METHOD = 'x-amazon-apigateway-any-method';
+const DEFAULT_CONTENT_TYPE = 'application/json';
+const MODEL_REF_PREFIX = '#/models/';
+const SCHEMA_REF_PATTERN = /^#\/(definitions|components\/schemas)\/(.+)$/;
+const UNSUPPORTED_SCHEMA_KEYWORDS = [ 'discriminator', 'readOnly', 'writeOnly', 'xml',
+                                      'externalDocs', 'example', 'examples', 'deprecated' ];
+const SCHEMA_MAP_KEYWORDS = [ 'properties', 'patternProperties', 'definitions' ];
+const SCHEMA_LIST_KEYWORDS = [ 'allOf', 'anyOf', 'oneOf' ];
+
+/**
+ * Placeholder for the directory info argument in template method calls.
+ * Replaced by the actual directory info object (in memory), or by the
+ * `dirInfo` variable (scaffolded files).
+ */
+const DIR_INFO = {};
+
+/**
+ * Converts a string into a name that contains only alphanumeric characters,
+ * with the first character capitalized.
+ *
+ * @private
+ * @param {String} value The value to convert.
+ *
+ * @return {String} The converted name.
+ */
+function _toName(value) {
+    return value.split(/[^A-Za-z0-9]+/).filter((token) => token.length > 0)
+                .map((token) => token.charAt(0).toUpperCase() + token.substring(1))
+                .join('');
+}
+
+/**
+ * Formats a value as javascript source code.
+ *
+ * @private
+ * @param {*} value The value to format.
+ * @param {String} indent The indentation of the line on which the value
+ *        appears.
+ *
+ * @return {String} The formatted value.
+ */
+function _formatArg(value, indent) {
+    if(value === DIR_INFO) {
+        return 'dirInfo';
+    }
+    if(typeof value === 'string') {
+        const escaped = value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')
+                             .replace(/\n/g, '\\n');
+        return `'${escaped}'`;
+    }
+    return JSON.stringify(value, null, 4).split('\n').join(`\n${indent}`);
+}
+
+/**
+ * Class that imports an OpenAPI (2.0 or 3.x) specification, and generates
+ * api gateway resource, method and model templates for the paths,
+ * operations and schemas declared by the specification. The templates can
+ * either be created in memory, or written out as a template tree that can be
+ * customized and built using the template builder.
+ *
+ * Every path segment is mapped to a directory containing a resource
+ * template, and every operation is mapped to a method template in the
+ * directory of its path. Methods are generated with mock back ends, which
+ * are expected to be replaced with actual integrations.
+ */
+class OpenApiImporter {
+    /**
+     * @param {Object} spec The OpenAPI specification object.
+     * @param {Object} [options={}] Optional parameters for the importer.
+     * @param {String} [options.library='aws-cf-generator'] The name of the
+     *        module that scaffolded files will require in order to access
+     *        template classes.
+     */
+    constructor(spec, options) {
+        if(!spec || (spec instanceof Array) || typeof spec !== 'object') {
+            throw new Error('Invalid specification specified (arg #1)');
+        }
+        const isVersion2 = (spec.swagger === '2.0');
+        const isVersion3 = (typeof spec.openapi === 'string' && /^3\./.test(spec.openapi));
+        if(!isVersion2 && !isVersion3) {
+            throw new Error('Unsupported specification. Expected an OpenAPI 2.0 or 3.x document');
+        }
+        options = options || {};
+
+        this._logger = _loggerProvider.getLogger('openapi_importer');
+        this._spec = spec;
+        this._isVersion2 = isVersion2;
+        this._library = options.library || 'aws-cf-generator';
+        this._descriptors = null;
+    }
+
+    /**
+     * Resolves a local reference within the specification.
+     *
+     * @private
+     * @param {Object} value An object that may contain a $ref property.
+     *
+     * @return {Object} The referenced object, or the input object if it
+     *         is not a reference.
+     */
+    _resolve(value) {
+        const seen = [];
+        while(value && typeof value.$ref === 'string') {
+            const ref = value.$ref;
+            if(ref.indexOf('#/') !== 0 || seen.indexOf(ref) >= 0) {
+                throw new Error(`Unable to resolve reference: [${ref}]`);
+            }
+            seen.push(ref);
+            value = ref.substring(2).split('/').reduce((result, token) => {
+                token = token.replace(/~1/g, '/').replace(/~0/g, '~');
+                return result? result[token]: undefined;
+            }, this._spec);
+            if(typeof value === 'undefined') {
+                throw new Error(`Unable to resolve reference: [${ref}]`);
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Converts an OpenAPI schema object into a json schema (draft-04) object
+     * that can be used by an api gateway model. References to other schemas
+     * are converted into model references (#/models/<name>).
+     *
+     * @private
+     * @param {Object} schema The schema to convert.
+     *
+     * @return {Object} The converted schema.
+     */
+    _convertSchema(schema) {
+        if(!schema || (schema instanceof Array) || typeof schema !== 'object') {
+            return schema;
+        }
+        const result = {};
+        Object.keys(schema).forEach((key) => {
+            const value = schema[key];
+            if(UNSUPPORTED_SCHEMA_KEYWORDS.indexOf(key) >= 0 || key.indexOf('x-') === 0) {
+                return;
+            }
+            if(key === '$ref' && typeof value === 'string') {
+                const match = value.match(SCHEMA_REF_PATTERN);
+                result.$ref = match? `${MODEL_REF_PREFIX}${_toName(match[2])}`: value;
+            } else if(key === 'nullable') {
+                if(value === true && typeof schema.type === 'string') {
+                    result.type = [ schema.type, 'null' ];
+                }
+            } else if(key === 'type' && schema.nullable === true && typeof value === 'string') {
+                result.type = [ value, 'null' ];
+            } else if(SCHEMA_MAP_KEYWORDS.indexOf(key) >= 0 && value && typeof value === 'object') {
+                result[key] = {};
+                Object.keys(value).forEach((prop) => {
+                    result[key][prop] = this._convertSchema(value[prop]);
+                });
+            } else if(SCHEMA_LIST_KEYWORDS.indexOf(key) >= 0 && (value instanceof Array)) {
+                result[key] = value.map((item) => this._convertSchema(item));
+            } else if(key === 'items' && (value instanceof Array)) {
+                result[key] = value.map((item) => this._convertSchema(item));
+            } else if(key === 'items' || key === 'not' || key === 'additionalProperties') {
+                result[key] = this._convertSchema(value);
+            } else {
+                result[key] = _clone(value);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Creates a template descriptor - an object that describes the template
+     * class, the key and constructor arguments, the method calls that
+     * initialize the template, and the file that declares the template.
+     *
+     * @private
+     * @param {String} className The name of the template class.
+     * @param {Array} pathTokens The directory of the template, expressed as
+     *        a list of directory names relative to the root.
+     * @param {String} fileName The name of the file that declares the
+     *        template.
+     * @param {String} tokenMethod The directory info method used to
+     *        generate the template key ('getToken' or 'getRootToken').
+     * @param {String} tokenValue The token value for the template key.
+     * @param {Array} args Additional constructor arguments.
+     *
+     * @return {Object} The template descriptor.
+     */
+    _createDescriptor(className, pathTokens, fileName, tokenMethod, tokenValue, args) {
+        return {
+            className: className,
+            pathTokens: pathTokens,
+            fileName: fileName,
+            tokenMethod: tokenMethod,
+            tokenValue: tokenValue,
+            args: args,
+            calls: []
+        };
+    }
+
+    /**
+     * Creates a model descriptor for a schema, if the schema is declared
+     * inline. Schemas that reference named schemas are mapped to the
+     * corresponding models.
+     *
+     * @private
+     * @param {Object} schema The schema.
+     * @param {String} name The name to use for inline schemas.
+     * @param {Object} models A map of model names to model descriptors.
+     *
+     * @return {String} The name of the model for the schema.
+     */
+    _getModelName(schema, name, models) {
+        schema = schema || {};
+        const match = (typeof schema.$ref === 'string')? schema.$ref.match(SCHEMA_REF_PATTERN): null;
+        if(match) {
+            return _toName(match[2]);
+        }
+        let modelName = name;
+        for(let index = 2; models[modelName]; index++) {
+            modelName = `${name}${index}`;
+        }
+        models[modelName] = this._createModelDescriptor(modelName, this._resolve(schema));
+        return modelName;
+    }
+
+    /**
+     * Creates a descriptor for a model template.
+     *
+     * @private
+     * @param {String} name The name of the model.
+     * @param {Object} schema The OpenAPI schema for the model.
+     *
+     * @return {Object} The model descriptor.
+     */
+    _createModelDescriptor(name, schema) {
+        const descriptor = this._createDescriptor('ModelTemplate', [], `${name}.model.js`,
+                                                  'getRootToken', `${name}_MODEL`, [ name ]);
+        descriptor.calls.push([ 'setRestApiId', DIR_INFO ]);
+        descriptor.calls.push([ 'setDescription', schema.description || name ]);
+        descriptor.calls.push([ 'setSchema', this._convertSchema(schema) ]);
+        return descriptor;
+    }
+
+    /**
+     * Gets the list of parameters for an operation, combining path level
+     * parameters with operation level parameters.
+     *
+     * @private
+     * @param {Object} pathItem The path item object.
+     * @param {Object} operation The operation object.
+     *
+     * @return {Array} The list of resolved parameters.
+     */
+    _getParameters(pathItem, operation) {
+        const parameters = [];
+        (pathItem.parameters || []).concat(operation.parameters || []).forEach((param) => {
+            param = this._resolve(param);
+            const index = parameters.findIndex((item) => {
+                return item.name === param.name && item.in === param.in;
+            });
+            if(index >= 0) {
+                parameters[index] = param;
+            } else {
+                parameters.push(param);
+            }
+        });
+        return parameters;
+    }
+
+    /**
+     * Gets a map of content types to schemas for the request body of an
+     * operation.
+     *
+     * @private
+     * @param {Object} operation The operation object.
+     * @param {Array} parameters The resolved parameters of the operation.
+     *
+     * @return {Object} A map of content types to schemas.
+     */
+    _getRequestSchemas(operation, parameters) {
+        const schemas = {};
+        if(this._isVersion2) {
+            const body = parameters.find((param) => param.in === 'body');
+            if(body && body.schema) {
+                const contentTypes = operation.consumes || this._spec.consumes ||
+                                     [ DEFAULT_CONTENT_TYPE ];
+                contentTypes.forEach((contentType) => {
+                    schemas[contentType] = body.schema;
+                });
+            }
+        } else if(operation.requestBody) {
+            const content = this._resolve(operation.requestBody).content || {};
+            Object.keys(content).forEach((contentType) => {
+                if(content[contentType].schema) {
+                    schemas[contentType] = content[contentType].schema;
+                }
+            });
+        }
+        return schemas;
+    }
+
+    /**
+     * Gets a map of content types to schemas for a response object.
+     *
+     * @private
+     * @param {Object} operation The operation object.
+     * @param {Object} response The response object.
+     *
+     * @return {Object} A map of content types to schemas.
+     */
+    _getResponseSchemas(operation, response) {
+        const schemas = {};
+        response = this._resolve(response) || {};
+        if(this._isVersion2) {
+            if(response.schema) {
+                const contentTypes = operation.produces || this._spec.produces ||
+                                     [ DEFAULT_CONTENT_TYPE ];
+                contentTypes.forEach((contentType) => {
+                    schemas[contentType] = response.schema;
+                });
+            }
+        } else {
+            const content = response.content || {};
+            Object.keys(content).forEach((contentType) => {
+                if(content[contentType].schema) {
+                    schemas[contentType] = content[contentType].schema;
+                }
+            });
+        }
+        return schemas;
+    }
+
+    /**
+     * Creates a descriptor for a method template.
+     *
+     * @private
+     * @param {Array} pathTokens The directory of the method.
+     * @param {Array} segments The path segments of the api path.
+     * @param {String} verb The http verb of the operation.
+     * @param {Object} pathItem The path item object.
+     * @param {Object} operation The operation object.
+     * @param {Object} models A map of model names to model descriptors.
+     *
+     * @return {Object} The method descriptor.
+     */
+    _createMethodDescriptor(pathTokens, segments, verb, pathItem, operation, models) {
+        const httpMethod = (verb === ANY_METHOD)? 'ANY': verb.toUpperCase();
+        const opName = _toName(operation.operationId ||
+                               `${httpMethod.toLowerCase()} ${segments.join(' ')}`);
+        const descriptor = this._createDescriptor('MethodTemplate', pathTokens,
+                                                  `${httpMethod.toLowerCase()}.js`,
+                                                  'getToken', httpMethod, []);
+        const calls = descriptor.calls;
+
+        calls.push([ 'setParent', DIR_INFO ]);
+        calls.push([ 'setHttpMethod', httpMethod ]);
+        calls.push([ 'setAuthorizer', null ]);
+        calls.push([ 'setMockBackend' ]);
+        calls.push([ 'setRequestTemplate', '{ "statusCode": 200 }' ]);
+
+        const parameters = this._getParameters(pathItem, operation);
+        parameters.forEach((param) => {
+            if(param.in === 'path') {
+                calls.push([ 'setRequestPath', param.name, true ]);
+            } else if(param.in === 'query') {
+                calls.push([ 'setRequestQueryString', param.name, !!param.required ]);
+            } else if(param.in === 'header') {
+                calls.push([ 'setRequestHeader', param.name, !!param.required ]);
+            }
+        });
+
+        const requestSchemas = this._getRequestSchemas(operation, parameters);
+        Object.keys(requestSchemas).forEach((contentType) => {
+            const modelName = this._getModelName(requestSchemas[contentType],
+                                                 `${opName}Request`, models);
+            calls.push([ 'setRequestModel', modelName, contentType ]);
+        });
+
+        const responses = operation.responses || {};
+        const statusCodes = Object.keys(responses).filter((code) => /^[1-5][0-9][0-9]$/.test(code))
+                                                  .sort();
+        const defaultCode = statusCodes.find((code) => code.charAt(0) === '2') || statusCodes[0];
+        statusCodes.forEach((code) => {
+            if(code === defaultCode) {
+                calls.push([ 'setIntegrationResponse', code ]);
+            } else {
+                calls.push([ 'setIntegrationResponse', code, code ]);
+            }
+            const responseSchemas = this._getResponseSchemas(operation, responses[code]);
+            Object.keys(responseSchemas).forEach((contentType) => {
+                const modelName = this._getModelName(responseSchemas[contentType],
+                                                     `${opName}Response${code}`, models);
+                calls.push([ 'setResponseModel', modelName, contentType, code ]);
+            });
+        });
+
+        return descriptor;
+    }
+
+    /**
+     * Parses the specification and generates descriptors for all of the
+     * templates that represent the api.
+     *
+     * @private
+     * @return {Array} A list of template descriptors.
+     */
+    _getDescriptors() {
+        if(this._descriptors) {
+            return this._descriptors;
+        }
+        const spec = this._spec;
+        const info = spec.info || {};
+        const descriptors = [];
+        const resources = {};
+        const models = {};
+
+        const api = this._createDescriptor('RestApiTemplate', [], '_api.js', 'getRootToken',
+                                           'API', [ info.title || 'api' ]);
+        api.calls.push([ 'setDescription', info.description || '' ]);
+        descriptors.push(api);
+
+        const schemas = (this._isVersion2? spec.definitions:
+                                           (spec.components || {}).schemas) || {};
+        Object.keys(schemas).forEach((name) => {
+            const modelName = _toName(name);
+            models[modelName] = this._createModelDescriptor(modelName, schemas[name]);
+        });
+
+        const methods = [];
+        Object.keys(spec.paths || {}).sort().forEach((apiPath) => {
+            const pathItem = this._resolve(spec.paths[apiPath]);
+            const segments = apiPath.split('/').filter((segment) => segment.length > 0);
+            const pathTokens = [];
+
+            segments.forEach((segment) => {
+                const match = segment.match(/^\{([^}+]+)\+?\}$/);
+                const dirName = (match? `${match[1]}_param`: segment)
+                                    .replace(/[^A-Za-z0-9_-]/g, '-');
+                pathTokens.push(dirName);
+
+                const dirPath = pathTokens.join('/');
+                if(resources[dirPath]) {
+                    return;
+                }
+                const resource = this._createDescriptor('ResourceTemplate', pathTokens.slice(),
+                                                        '_resource.js', 'getToken', 'RES',
+                                                        [ segment ]);
+                resource.calls.push([ 'setParent', DIR_INFO ]);
+                resources[dirPath] = resource;
+            });
+
+            HTTP_VERBS.concat(ANY_METHOD).forEach((verb) => {
+                if(pathItem[verb]) {
+                    methods.push(this._createMethodDescriptor(pathTokens.slice(), segments, verb,
+                                                              pathItem, pathItem[verb], models));
+                }
+            });
+        });
+
+        Object.keys(models).sort().forEach((name) => descriptors.push(models[name]));
+        Object.keys(resources).sort().forEach((dirPath) => descriptors.push(resources[dirPath]));
+        methods.forEach((method) => descriptors.push(method));
+
+        this._logger.debug('Specification parsed', {
+            models: Object.keys(models),
+            resources: Object.keys(resources),
+            methods: methods.length
+        });
+        this._descriptors = descriptors;
+        return descriptors;
+    }
+
+    /**
+     * Generates the source code for a file that declares a template.
+     *
+     * @private
+     * @param {Object} descriptor The template descriptor.
+     *
+     * @return {String} The source code for the file.
+     */
+    _generateSource(descriptor) {
+        const indent = '        ';
+        const lines = [
+            '\'use strict\';',
+            '',
+            `const ${descriptor.className} = require('${this._library}').ApiGatewayTemplates.${descriptor.className};`,
+            '',
+            'module.exports = (dirInfo, dataBag) => {'
+        ];
+        const args = [ `dirInfo.${descriptor.tokenMethod}('${descriptor.tokenValue}')` ]
+                        .concat(descriptor.args.map((arg) => _formatArg(arg, indent)));
+        lines.push(`    return new ${descriptor.className}(${args.join(', ')})`);
+        if(descriptor.className === 'MethodTemplate') {
+            lines.push(`${indent}// Generated with a mock back end. Use any of the set*Backend() methods to integrate.`);
+        }
+        descriptor.calls.forEach((call) => {
+            const callArgs = call.slice(1).map((arg) => _formatArg(arg, indent));
+            lines.push(`${indent}.${call[0]}(${callArgs.join(', ')})`);
+        });
+        lines[lines.length - 1] += ';';
+        lines.push('};');
+        lines.push('');
+        return lines.join('\n');
+    }
+
+    /**
+     * Loads an OpenAPI specification from a json or yaml file.
+     *
+     * @param {String} filePath The path to the specification file.
+     *
+     * @return {Object} The specification object.
+     */
+    static load(filePath) {
+        if(typeof filePath !== 'string' || filePath.length <= 0) {
+            throw new Error('Invalid file path specified (arg #1)');
+        }
+        const ext = _path.extname(filePath);
+        try {
+            const text = _fs.readFileSync(_path.resolve(filePath), 'utf8');
+            return (ext === '.yaml' || ext === '.yml')? _yamlUtils.load(text): JSON.parse(text);
+        } catch(ex) {
+            throw new Error(`Error loading specification from file: [${filePath}]: ${ex.message}`);
+        }
+    }
+
+    /**
+     * Creates templates for the api in memory. Every template is tagged with
+     * the source file that would have declared it, had the api been
+     * scaffolded.
+     *
+     * @param {Object} dirInfo A directory info object for the root of the
+     *        template hierarchy.
+     *
+     * @return {Array} A list of templates, in the same order as a template
+     *         builder would return them for the scaffolded tree.
+     */
+    createTemplates(dirInfo) {
+        if(!(dirInfo instanceof DirInfo)) {
+            throw new Error('Invalid directory info specified (arg #1)');
+        }
+        return this._getDescriptors().map((descriptor) => {
+            const templateDir = descriptor.pathTokens.reduce((result, token) => {
+                return result.getChildDir(token);
+            }, dirInfo);
+            const TemplateClass = ApiGatewayTemplates[descriptor.className];
+            const args = [ null, templateDir[descriptor.tokenMethod](descriptor.tokenValue) ]
+                            .concat(_clone(descriptor.args));
+            const template = new (Function.prototype.bind.apply(TemplateClass, args))();
+
+            descriptor.calls.forEach((call) => {
+                const callArgs = call.slice(1).map((arg) => {
+                    return (arg === DIR_INFO)? templateDir: _clone(arg);
+                });
+                template[call[0]].apply(template, callArgs);
+            });
+            template.setSource(_path.join(templateDir.relPath, descriptor.fileName));
+
+            return template;
+        }).sort(TemplateBuilder.compareTemplates);
+    }
+
+    /**
+     * Writes the api out as a template tree. Each path segment is written
+     * as a directory, and each template is written as a separate file.
+     * Existing files will not be overwritten unless explicitly requested.
+     *
+     * @param {String} rootPath The path to the root directory of the
+     *        template tree. The directory will be created if it does not
+     *        exist.
+     * @param {Boolean} [overwrite=false] Determines whether or not existing
+     *        files are overwritten.
+     *
+     * @return {Array} A list of the paths of the files that were written.
+     */
+    scaffold(rootPath, overwrite) {
+        if(typeof rootPath !== 'string' || rootPath.length <= 0) {
+            throw new Error('Invalid root path specified (arg #1)');
+        }
+        const absRoot = _path.resolve(rootPath);
+        const files = this._getDescriptors().map((descriptor) => {
+            const dirPath = _path.join.apply(_path, [ absRoot ].concat(descriptor.pathTokens));
+            return {
+                dirPath: dirPath,
+                filePath: _path.join(dirPath, descriptor.fileName),
+                source: this._generateSource(descriptor)
+            };
+        });
+
+        if(!overwrite) {
+            const existing = files.find((file) => _fs.existsSync(file.filePath));
+            if(existing) {
+                throw new Error(`File already exists: [${existing.filePath}]`);
+            }
+        }
+
+        files.forEach((file) => {
+            _fs.mkdirSync(file.dirPath, { recursive: true });
+            _fs.writeFileSync(file.filePath, file.source);
+            this._logger.info(`File written: [${file.filePath}]`);
+        });
+        return files.map((file) => file.filePath);
+    }
+}
+
+module.exports = OpenApiImporter;
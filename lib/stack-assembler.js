@@ -0,0 +1,305 @@
+'use strict';
+
+const _clone = require('clone');
+const _loggerProvider = require('wysknd-common').loggerProvider;
+const Template = require('./templates/template');
+
+const TEMPLATE_FORMAT_VERSION = '2010-09-09';
+const SECTIONS = [ 'Parameters', 'Mappings', 'Conditions', 'Resources', 'Outputs' ];
+
+/**
+ * Sections that share a single namespace of logical ids. Parameters and
+ * resources can both be referenced using Ref, so their ids must not clash.
+ */
+const SHARED_NAMESPACE_SECTIONS = [ 'Parameters', 'Resources' ];
+const VALIDATION_MODES = [ 'none', 'report', 'strict' ];
+
+/**
+ * Generated templates may generate further templates. This limit guards
+ * against templates that never stop generating.
+ */
+const MAX_GENERATION_PASSES = 10;
+
+/**
+ * Class that assembles a list of templates (typically generated by a
+ * template builder) into a complete cloud formation document.
+ */
+class StackAssembler {
+    /**
+     * @param {Object} [options={}] Optional configuration for the assembler.
+     * @param {String} [options.description] An optional description for the
+     *        generated cloud formation document.
+     * @param {Object} [options.dataBag={}] An optional object containing
+     *        token replacements that will be merged with properties exported
+     *        by the templates.
+     * @param {Object} [options.metadata] An optional object that will be
+     *        emitted as the metadata section of the document.
+     * @param {Object} [options.outputs] An optional map of output
+     *        declarations that will be emitted in the outputs section of the
+     *        document, in addition to any output templates.
+     * @param {String} [options.validation='none'] Determines how unresolved
+     *        tokens and unassigned (null) values are handled when templates
+     *        are finalized. Must be one of 'none' (ignore), 'report' (collect
+     *        as warnings) or 'strict' (fail the assembly).
+     */
+    constructor(options) {
+        if(!options || (options instanceof Array) || typeof options !== 'object') {
+            options = {};
+        }
+        if(!options.dataBag || (options.dataBag instanceof Array) ||
+           typeof options.dataBag !== 'object') {
+            options.dataBag = {};
+        }
+        if(typeof options.validation === 'undefined') {
+            options.validation = 'none';
+        }
+        if(VALIDATION_MODES.indexOf(options.validation) < 0) {
+            throw new Error(`Invalid validation mode specified. Must be one of: [${VALIDATION_MODES}]`);
+        }
+        this._logger = _loggerProvider.getLogger('stack_assembler');
+        this._options = _clone(options);
+        this._warnings = [];
+        this._templates = [];
+    }
+
+    /**
+     * Checks a list of templates for duplicate logical ids. Keys that are
+     * different in the source files may map to the same logical id once they
+     * are camel cased. Parameters and resources share a namespace, while
+     * other sections have their own.
+     *
+     * @param {Array} templates The list of templates to check.
+     *
+     * @throws {Error} If two templates have the same logical id.
+     */
+    static checkDuplicates(templates) {
+        const sources = {};
+        templates.forEach((template) => {
+            const namespace = (SHARED_NAMESPACE_SECTIONS.indexOf(template.section) >= 0)?
+                                    SHARED_NAMESPACE_SECTIONS.join('|'): template.section;
+            const id = `${namespace}::${template.key}`;
+            if(sources.hasOwnProperty(id)) {
+                throw new Error(`Duplicate logical id [${template.key}] defined in: [${sources[id]}] and [${template.source}]`);
+            }
+            sources[id] = template.source;
+        });
+    }
+
+    /**
+     * Formats a list of finalization issues into a human readable report.
+     *
+     * @private
+     * @param {Array} issues The list of issues.
+     *
+     * @return {String} The formatted report.
+     */
+    _formatIssues(issues) {
+        return issues.map((issue) => {
+            const source = issue.source || '<unknown source>';
+            return `  [${issue.key}] (${source}) ${issue.path}: ${issue.message}`;
+        }).join('\n');
+    }
+
+    /**
+     * Builds a token map by merging the data bag with the properties exported
+     * by every template in the list. Exported properties take precedence over
+     * data bag values.
+     *
+     * @private
+     * @param {Array} templates The list of templates.
+     *
+     * @return {Object} A map of token names to replacement values.
+     */
+    _getTokenMap(templates) {
+        const tokenMap = _clone(this._options.dataBag);
+        templates.forEach((template) => {
+            const exports = template.exportedProperties;
+            for(let prop in exports) {
+                tokenMap[prop] = exports[prop];
+            }
+        });
+        return tokenMap;
+    }
+
+    /**
+     * Gives every template a chance to generate additional templates, and
+     * returns the complete list of templates for the build. Generated
+     * templates are themselves given a chance to generate templates, until
+     * no new templates are generated. Properties exported by generated
+     * templates are added to the token map.
+     *
+     * @private
+     * @param {Array} templates The list of templates.
+     * @param {Object} tokenMap The map of tokens to replacement values.
+     *
+     * @return {Array} The list of templates, followed by all generated
+     *         templates.
+     */
+    _generateTemplates(templates, tokenMap) {
+        let pending = templates;
+        for(let pass = 1; pending.length > 0; pass++) {
+            if(pass > MAX_GENERATION_PASSES) {
+                throw new Error(`Templates are still being generated after [${MAX_GENERATION_PASSES}] passes`);
+            }
+            const generated = [];
+            pending.forEach((template) => {
+                template.generateTemplates(templates, tokenMap).forEach((item) => {
+                    if(!(item instanceof Template)) {
+                        throw new Error(`Invalid template generated by: [${template.key}]`);
+                    }
+                    if(!item.source && template.source) {
+                        item.setSource(template.source);
+                    }
+                    const exports = item.exportedProperties;
+                    for(let prop in exports) {
+                        tokenMap[prop] = exports[prop];
+                    }
+                    generated.push(item);
+                });
+            });
+            if(generated.length > 0) {
+                this._logger.debug(`Templates generated (pass #${pass})`, {
+                    templates: generated.map((template) => template.key)
+                });
+            }
+            templates = templates.concat(generated);
+            pending = generated;
+        }
+        return templates;
+    }
+
+    /**
+     * Assigns a section to the document only if the section is not empty.
+     *
+     * @private
+     * @param {Object} doc The document being assembled.
+     * @param {String} name The name of the section.
+     * @param {Object} section The contents of the section.
+     */
+    _setSection(doc, name, section) {
+        if(section && typeof section === 'object' &&
+           Object.keys(section).length > 0) {
+            doc[name] = section;
+        }
+    }
+
+    /**
+     * Returns the data bag used by the assembler.
+     *
+     * @return {Object} The data bag.
+     */
+    get dataBag() {
+        return this._options.dataBag;
+    }
+
+    /**
+     * Returns the list of issues (unresolved tokens and unassigned values)
+     * found during the last assembly, when the assembler is in 'report' mode.
+     * Each issue identifies the template key, the source file, the property
+     * path and the missing token name.
+     *
+     * @return {Array} The list of warnings.
+     */
+    get warnings() {
+        return this._warnings;
+    }
+
+    /**
+     * Returns the complete list of templates included in the last assembly,
+     * including templates generated during the assembly.
+     *
+     * @return {Array} The list of templates.
+     */
+    get templates() {
+        return this._templates;
+    }
+
+    /**
+     * Assembles a complete cloud formation document from a list of templates.
+     * Properties exported by all of the templates are merged with the data
+     * bag, and the result is used to finalize every template in the list.
+     * Before finalization, every template is given a chance to generate
+     * additional templates (see `Template.generateTemplates()`), and to
+     * prepare itself using the complete list of templates (see
+     * `Template.prepare()`).
+     * Each finalized template is routed to the section of the document
+     * identified by the template's `section` property.
+     *
+     * In 'strict' validation mode, an error listing every unresolved token
+     * and unassigned value will be thrown.
+     *
+     * @param {Array} templates The list of templates to assemble.
+     *
+     * @return {Object} An object that represents the cloud formation
+     *         document.
+     */
+    assemble(templates) {
+        if(!(templates instanceof Array)) {
+            throw new Error('Invalid template list specified (arg #1)');
+        }
+        templates.forEach((template, index) => {
+            if(!(template instanceof Template)) {
+                throw new Error(`Invalid template at index [${index}]`);
+            }
+        });
+
+        const tokenMap = this._getTokenMap(templates);
+        templates = this._generateTemplates(templates, tokenMap);
+        this._templates = templates;
+        templates.forEach((template) => {
+            template.prepare(templates, tokenMap);
+        });
+        this._logger.trace('Token map generated', {
+            tokenMap: tokenMap
+        });
+
+        const issues = (this._options.validation === 'none')? undefined: [];
+        const sections = {};
+        SECTIONS.forEach((section) => {
+            sections[section] = {};
+        });
+        StackAssembler.checkDuplicates(templates);
+        templates.forEach((template) => {
+            const section = sections[template.section];
+            if(!section) {
+                throw new Error(`Unsupported section [${template.section}] for template: [${template.key}]`);
+            }
+            this._logger.trace(`Finalizing template: [${template.section}::${template.key}]`);
+            section[template.key] = template.finalize(tokenMap, issues);
+        });
+
+        this._warnings = [];
+        if(issues && issues.length > 0) {
+            const report = this._formatIssues(issues);
+            if(this._options.validation === 'strict') {
+                const error = new Error(`One or more templates could not be finalized:\n${report}`);
+                error.issues = issues;
+                this._logger.error(error.message);
+                throw error;
+            }
+            this._logger.warn(`One or more templates have unresolved values:\n${report}`);
+            this._warnings = issues;
+        }
+
+        const doc = {
+            AWSTemplateFormatVersion: TEMPLATE_FORMAT_VERSION
+        };
+        if(typeof this._options.description === 'string') {
+            doc.Description = this._options.description;
+        }
+        this._setSection(doc, 'Metadata', this._options.metadata);
+        this._setSection(doc, 'Parameters', sections.Parameters);
+        this._setSection(doc, 'Mappings', sections.Mappings);
+        this._setSection(doc, 'Conditions', sections.Conditions);
+        doc.Resources = sections.Resources;
+        this._setSection(doc, 'Outputs', Object.assign({}, this._options.outputs,
+                                                       sections.Outputs));
+
+        this._logger.info('Stack assembled', {
+            resources: Object.keys(sections.Resources)
+        });
+        return doc;
+    }
+}
+
+module.exports = StackAssembler;
@@ -3,12 +3,76 @@
 const _fs = require('fs');
 const _path = require('path');
 const Promise = require('bluebird').Promise;
+const _minimatch = require('minimatch');
 const _loggerProvider = require('wysknd-common').loggerProvider;
 const DirInfo = require('./dir-info');
+const Template = require('./templates/template');
+const StackAssembler = require('./stack-assembler');
+const _yamlUtils = require('./utils/yaml-utils');
+
+const IGNORE_FILE = '.cfignore';
+const DEFAULT_IGNORE_PATTERNS = [ IGNORE_FILE, 'node_modules' ];
+const STATIC_TEMPLATE_EXTENSIONS = [ '.json', '.yaml', '.yml' ];
+const SUB_VARIABLE_PATTERN = /\$\{([^!}.]+)((\.[^}]+)?)\}/g;
+
+/**
+ * Recursively rewrites references (Ref, Fn::GetAtt and Fn::Sub) to resources
+ * declared in a static template file, replacing the keys used in the file
+ * with the logical ids of the generated templates.
+ *
+ * @private
+ * @param {*} value The value to rewrite.
+ * @param {Object} idMap A map of keys declared in the file to logical ids.
+ *
+ * @return {*} A copy of the value with all references rewritten.
+ */
+function _rewriteReferences(value, idMap) {
+    const mapId = (id, map) => map.hasOwnProperty(id)? map[id]: id;
+    const mapSub = (text, map) => text.replace(SUB_VARIABLE_PATTERN, (match, id, attr) => {
+        return `\${${mapId(id, map)}${attr}}`;
+    });
+
+    if(value instanceof Array) {
+        return value.map((item) => _rewriteReferences(item, idMap));
+    }
+    if(!value || typeof value !== 'object') {
+        return value;
+    }
+    const result = {};
+    Object.keys(value).forEach((key) => {
+        const arg = value[key];
+        if(key === 'Ref' && typeof arg === 'string') {
+            result[key] = mapId(arg, idMap);
+        } else if(key === 'Fn::GetAtt' && (arg instanceof Array) && typeof arg[0] === 'string') {
+            result[key] = [ mapId(arg[0], idMap) ].concat(_rewriteReferences(arg.slice(1), idMap));
+        } else if(key === 'Fn::GetAtt' && typeof arg === 'string') {
+            const index = arg.indexOf('.');
+            result[key] = (index > 0)?
+                            `${mapId(arg.substring(0, index), idMap)}${arg.substring(index)}`: arg;
+        } else if(key === 'Fn::Sub' && typeof arg === 'string') {
+            result[key] = mapSub(arg, idMap);
+        } else if(key === 'Fn::Sub' && (arg instanceof Array) && typeof arg[0] === 'string') {
+            // Variables declared by the function shadow resource keys.
+            const variables = arg[1] || {};
+            const subMap = Object.assign({}, idMap);
+            Object.keys(variables).forEach((name) => delete subMap[name]);
+            result[key] = [ mapSub(arg[0], subMap) ].concat(_rewriteReferences(arg.slice(1), idMap));
+        } else {
+            result[key] = _rewriteReferences(arg, idMap);
+        }
+    });
+    return result;
+}
 
 /**
  * Class that loads all template objects defined in the current directory, and
  * each of its sub directories.
+ *
+ * Javascript files are treated as template generators, while json and yaml
+ * files are loaded as static resource fragments (maps of resource keys to
+ * resource declarations). Files and directories can be excluded using glob
+ * patterns, either specified as an option, or listed in a '.cfignore' file
+ * at the root of the template hierarchy.
  */
 class TemplateBuilder {
     /**
@@ -16,17 +80,39 @@ class TemplateBuilder {
      *        methods for the current directory.
      * @param {Object} [dataBag={}] An optional object containing properties
      *        and keys that can be passed to template generators
+     * @param {Object} [options={}] Optional configuration for the builder.
+     * @param {Boolean} [options.recursive=true] Determines whether or not
+     *        templates are loaded from sub directories.
+     * @param {Array} [options.ignore=[]] A list of glob patterns for files
+     *        and directories that will be ignored. Patterns are matched
+     *        against paths relative to the root of the template hierarchy,
+     *        and patterns without a '/' match file names at any level.
+     * @param {Array} [ignorePatterns] The resolved ignore patterns of a parent
+     *        builder. Used when loading sub directories, so that the
+     *        '.cfignore' file is only read once per build.
      */
-    constructor(dirInfo, dataBag) {
+    constructor(dirInfo, dataBag, options, ignorePatterns) {
         if(!(dirInfo instanceof DirInfo)) {
             throw new Error('Invalid directory info specified (arg #1)');
         }
         if(!dataBag || (dataBag instanceof Array) || typeof dataBag !== 'object') {
             dataBag = {};
         }
+        if(!options || (options instanceof Array) || typeof options !== 'object') {
+            options = {};
+        }
         this._logger = _loggerProvider.getLogger('template_builder');
         this._dirInfo = dirInfo;
         this._dataBag = dataBag;
+        this._options = Object.assign({
+            recursive: true,
+            ignore: []
+        }, options);
+        this._ignorePatterns = (ignorePatterns instanceof Array)? ignorePatterns:
+                                    DEFAULT_IGNORE_PATTERNS
+                                        .concat(this._options.ignore)
+                                        .concat(this._readIgnoreFile())
+                                        .map((pattern) => pattern.replace(/\/+$/, ''));
 
         this._logger.trace('Template loader initialized', {
             dirInfo: this._dirInfo
@@ -34,9 +120,129 @@ class TemplateBuilder {
     }
     
     /**
-     * Loads template objects from the specified path. Non javascript files will
-     * be ignored, and attempts will be made to build templates recursively
-     * from sub directories.
+     * Reads ignore patterns from the '.cfignore' file at the root of the
+     * template hierarchy, if one exists. Empty lines and lines starting with
+     * '#' are skipped.
+     *
+     * @private
+     * @return {Array} The list of patterns read from the file.
+     */
+    _readIgnoreFile() {
+        const filePath = _path.join(this._dirInfo.rootPath, IGNORE_FILE);
+        if(!_fs.existsSync(filePath)) {
+            return [];
+        }
+        return _fs.readFileSync(filePath, 'utf8').split(/\r?\n/)
+                    .map((line) => line.trim())
+                    .filter((line) => line.length > 0 && line.indexOf('#') !== 0);
+    }
+
+    /**
+     * Loads static templates from a json or yaml file. The file must contain
+     * a map of resource keys to resource declarations (Type, Properties and
+     * optional resource attributes), optionally nested under a top level
+     * 'Resources' property. References between resources declared in the
+     * file are rewritten to use the camel cased logical ids.
+     *
+     * @private
+     * @param {String} fileAbsPath The absolute path to the file.
+     *
+     * @return {Array} An array of templates.
+     */
+    _loadStaticTemplates(fileAbsPath) {
+        const ext = _path.extname(fileAbsPath);
+        const content = _fs.readFileSync(fileAbsPath, 'utf8');
+        let resources = (ext === '.json')? JSON.parse(content):
+                                           _yamlUtils.load(content);
+
+        if(!resources || (resources instanceof Array) || typeof resources !== 'object') {
+            throw new Error('Static template file does not contain an object');
+        }
+        if(resources.Resources && typeof resources.Resources === 'object') {
+            resources = resources.Resources;
+        }
+
+        // Logical ids are camel cased by the templates, so references between
+        // resources in the file have to be rewritten to match.
+        const keys = Object.keys(resources);
+        const templates = keys.map((key) => {
+            const definition = resources[key] || {};
+            return new Template(key, definition.Type, definition.Properties);
+        });
+        const idMap = {};
+        keys.forEach((key, index) => {
+            idMap[key] = templates[index].key;
+        });
+
+        return templates.map((template, index) => {
+            const definition = resources[keys[index]] || {};
+            const props = template.properties;
+            Object.keys(props).forEach((prop) => {
+                props[prop] = _rewriteReferences(props[prop], idMap);
+            });
+
+            let dependencies = definition.DependsOn || [];
+            if(!(dependencies instanceof Array)) {
+                dependencies = [ dependencies ];
+            }
+            dependencies.forEach((dependency) => {
+                template.dependsOn(idMap.hasOwnProperty(dependency)? idMap[dependency]: dependency);
+            });
+
+            if(typeof definition.Condition !== 'undefined') {
+                template.setCondition(definition.Condition);
+            }
+            if(typeof definition.DeletionPolicy !== 'undefined') {
+                template.setDeletionPolicy(definition.DeletionPolicy);
+            }
+            if(typeof definition.UpdateReplacePolicy !== 'undefined') {
+                template.setUpdateReplacePolicy(definition.UpdateReplacePolicy);
+            }
+            if(typeof definition.CreationPolicy !== 'undefined') {
+                template.setCreationPolicy(definition.CreationPolicy);
+            }
+            if(typeof definition.UpdatePolicy !== 'undefined') {
+                template.setUpdatePolicy(definition.UpdatePolicy);
+            }
+            if(typeof definition.Metadata !== 'undefined') {
+                template.setMetadata(definition.Metadata);
+            }
+            return template;
+        });
+    }
+
+    /**
+     * Determines whether or not a file or directory matches any of the
+     * ignore patterns configured for the builder. A file is also ignored if
+     * any of its parent directories match an ignore pattern.
+     *
+     * @param {String} fileAbsPath The absolute path to the file or directory.
+     *
+     * @return {Boolean} True if the file should be ignored, false otherwise.
+     */
+    isIgnored(fileAbsPath) {
+        if(typeof fileAbsPath !== 'string' || fileAbsPath.length <= 0) {
+            throw new Error('Invalid file path specified (arg #1)');
+        }
+        const tokens = _path.relative(this._dirInfo.rootPath, fileAbsPath)
+                            .split(_path.sep);
+        return tokens.some((token, index) => {
+            const relPath = tokens.slice(0, index + 1).join('/');
+            return this._ignorePatterns.some((pattern) => {
+                return _minimatch(relPath, pattern, {
+                    dot: true,
+                    matchBase: pattern.indexOf('/') < 0
+                });
+            });
+        });
+    }
+
+    /**
+     * Loads template objects from the specified path. Javascript files will
+     * be treated as template generators, json and yaml files will be loaded
+     * as static templates, and attempts will be made to build templates
+     * recursively from sub directories. Files and directories that match
+     * ignore patterns will be skipped.
      * 
      * @private
      * @param {String} file The name of the file from which templates will
@@ -52,6 +258,11 @@ class TemplateBuilder {
         const pathComponents = _path.parse(fileAbsPath);
 
         return new Promise((resolve, reject) => {
+            if(this.isIgnored(fileAbsPath)) {
+                this._logger.trace(`Ignoring (matches ignore pattern): [${fileRelPath}]`);
+                resolve([]);
+                return;
+            }
             this._logger.trace(`Querying stats: [${fileRelPath}]`);
             _fs.stat(fileAbsPath, (err, stats) => {
                 if(err) {
@@ -61,25 +272,54 @@ class TemplateBuilder {
                 }
 
                 if(stats.isDirectory()) {
+                    if(!this._options.recursive) {
+                        this._logger.trace(`Skipping directory (non recursive): [${fileRelPath}]`);
+                        resolve([]);
+                        return;
+                    }
                     this._logger.info(`Processing directory: [${fileRelPath}]`);
 
                     const childInfo = this._dirInfo.getChildDir(file);
-                    const childBuilder = new TemplateBuilder(childInfo, this._dataBag);
-                    return childBuilder.build().then(resolve);
+                    const childBuilder = new TemplateBuilder(childInfo, this._dataBag,
+                                                             this._options,
+                                                             this._ignorePatterns);
+                    return childBuilder.build().then(resolve, reject);
 
-                } else if (pathComponents.ext === '.js') {
+                } else if (pathComponents.ext === '.js' ||
+                           STATIC_TEMPLATE_EXTENSIONS.indexOf(pathComponents.ext) >= 0) {
                     this._logger.info(`Processing file: [${fileRelPath}]`);
-                    let templates = require(fileAbsPath);
+                    let templates = null;
+                    try {
+                        if(pathComponents.ext === '.js') {
+                            templates = require(fileAbsPath);
 
-                    if(typeof templates === 'function') {
-                        this._logger.trace(`Invoking template generator function: [${fileRelPath}]`);
-                        templates = templates(this._dirInfo, this._dataBag);
+                            if(typeof templates === 'function') {
+                                this._logger.trace(`Invoking template generator function: [${fileRelPath}]`);
+                                templates = templates(this._dirInfo, this._dataBag);
+                            }
+                        } else {
+                            this._logger.trace(`Loading static templates: [${fileRelPath}]`);
+                            templates = this._loadStaticTemplates(fileAbsPath);
+                        }
+                    } catch(ex) {
+                        const error = new Error(`Error generating templates from file: [${fileRelPath}]: ${ex.message}`);
+                        error.source = fileRelPath;
+                        error.cause = ex;
+                        this._logger.error(ex, `Error generating templates from file: [${fileRelPath}]`);
+                        reject(error);
+                        return;
                     }
 
                     if(!(templates instanceof Array)) {
                         templates = [ templates ];
                     }
 
+                    templates.forEach((template) => {
+                        if(template instanceof Template && !template.source) {
+                            template.setSource(fileRelPath);
+                        }
+                    });
+
                     this._logger.debug(`Templates loaded (file): [${fileRelPath}]`, {
                         templates: templates.map((res) => res.key)
                     });
@@ -94,9 +334,28 @@ class TemplateBuilder {
         });
     }
 
-    
     /**
-     * Loads all templates in the current directory and sub directories.
+     * Compares two templates by source file path, and then by key. Can be
+     * used to sort lists of templates into a deterministic order.
+     *
+     * @param {Object} first The first template.
+     * @param {Object} second The second template.
+     *
+     * @return {Number} A negative number if the first template sorts before
+     *         the second, a positive number if it sorts after, and 0 if they
+     *         are equivalent.
+     */
+    static compareTemplates(first, second) {
+        const compare = (a, b) => (a < b)? -1: ((a > b)? 1: 0);
+        return compare(first.source || '', second.source || '') ||
+               compare(first.key, second.key);
+    }
+
+    /**
+     * Loads all templates in the current directory and sub directories. The
+     * templates are sorted by source file path and key, so that the order is
+     * the same from one build to the next. The build will fail if two
+     * templates map to the same logical id.
      *
      * @return {Promise} A promise that will be rejected or resolved based on
      *         the outcome of the load operation. If resolved, the an array
@@ -130,17 +389,44 @@ class TemplateBuilder {
                 });
 
                 Promise.all(promises).then(() => {
+                    templateList.sort(TemplateBuilder.compareTemplates);
+                    StackAssembler.checkDuplicates(templateList);
+
                     this._logger.info(`Templates loaded (dir): [${path}]`, {
                         templates: templateList.map((res) => res.key)
                     });
                     resolve(templateList)
-                }, (err) => {
+                }).catch((err) => {
                     this._logger.error(err, `One or more templates failed to generate`);
                     reject(err);
                 });
             });
         });
     }
+
+    /**
+     * Loads all templates in the current directory and sub directories, and
+     * assembles them into a complete cloud formation document. The data bag
+     * of the builder will be used when finalizing the templates.
+     *
+     * @param {Object} [options={}] Optional configuration for the stack
+     *        assembler. Any data bag specified in the options will be ignored.
+     *
+     * @return {Promise} A promise that will be rejected or resolved based on
+     *         the outcome of the operation. If resolved, the cloud formation
+     *         document will be provided to the success callback.
+     */
+    assemble(options) {
+        if(!options || (options instanceof Array) || typeof options !== 'object') {
+            options = {};
+        }
+        return this.build().then((templates) => {
+            const assembler = new StackAssembler(Object.assign({}, options, {
+                dataBag: this._dataBag
+            }));
+            return assembler.assemble(templates);
+        });
+    }
 }
 
 module.exports = TemplateBuilder;
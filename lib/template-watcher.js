@@ -0,0 +1,425 @@
+'use strict';
+
+const _fs = require('fs');
+const _path = require('path');
+const EventEmitter = require('events').EventEmitter;
+const Promise = require('bluebird').Promise;
+const _loggerProvider = require('wysknd-common').loggerProvider;
+const DirInfo = require('./dir-info');
+const TemplateBuilder = require('./template-builder');
+const StackAssembler = require('./stack-assembler');
+
+const DEFAULT_DELAY = 200;
+const IGNORE_FILE = '.cfignore';
+
+/**
+ * Class that watches a template tree for changes, and incrementally rebuilds
+ * the cloud formation document when files change. Only directories that
+ * contain changed files (or files that depend on changed modules) are
+ * reloaded.
+ *
+ * The following events are emitted:
+ *  - 'build': Emitted after every successful build, with the generated
+ *    document and a summary of added, removed and changed resources.
+ *  - 'error': Emitted when a build fails, if an error listener has been
+ *    registered. The watcher continues to watch for changes.
+ *
+ * @extends {EventEmitter}
+ */
+class TemplateWatcher extends EventEmitter {
+    /**
+     * @param {Object} dirInfo An object that contains information and utility
+     *        methods for the root directory of the template tree.
+     * @param {Object} [options={}] Optional configuration for the watcher.
+     * @param {Object} [options.dataBag={}] An optional object containing
+     *        properties and keys that can be passed to template generators.
+     * @param {Object} [options.assembler={}] Optional configuration for the
+     *        stack assembler. Any data bag specified here will be ignored.
+     * @param {Array} [options.ignore=[]] A list of glob patterns for files
+     *        and directories that will be ignored. See TemplateBuilder.
+     * @param {Number} [options.delay=200] The number of milliseconds to wait
+     *        after a change before rebuilding, allowing multiple changes to
+     *        be processed together.
+     */
+    constructor(dirInfo, options) {
+        if(!(dirInfo instanceof DirInfo)) {
+            throw new Error('Invalid directory info specified (arg #1)');
+        }
+        if(!options || (options instanceof Array) || typeof options !== 'object') {
+            options = {};
+        }
+        super();
+
+        this._logger = _loggerProvider.getLogger('template_watcher');
+        this._dirInfo = dirInfo;
+        this._dataBag = options.dataBag || {};
+        this._assemblerOptions = Object.assign({}, options.assembler, {
+            dataBag: this._dataBag
+        });
+        this._delay = (typeof options.delay === 'number')? options.delay: DEFAULT_DELAY;
+        this._builderOptions = {
+            recursive: false,
+            ignore: options.ignore || []
+        };
+        this._rootBuilder = new TemplateBuilder(dirInfo, this._dataBag,
+                                                this._builderOptions);
+
+        this._templateRoot = _path.dirname(dirInfo.absPath);
+        this._dirCache = {};
+        this._watchers = {};
+        this._dirtyDirs = {};
+        this._changedFiles = {};
+        this._timer = null;
+        this._isBuilding = false;
+        this._isPending = false;
+        this._document = null;
+    }
+
+    /**
+     * Recursively discovers all directories in the tree rooted at the
+     * specified directory. Directories that match ignore patterns are
+     * included (so that changes to helper modules within them are detected),
+     * with the exception of 'node_modules' directories.
+     *
+     * @private
+     * @param {Object} dirInfo The directory at which to start.
+     *
+     * @return {Promise} A promise that will be resolved with an array of
+     *         directory info objects, including the starting directory.
+     */
+    _discoverDirs(dirInfo) {
+        return new Promise((resolve, reject) => {
+            _fs.readdir(dirInfo.absPath, (err, files) => {
+                if(err) {
+                    reject(err);
+                    return;
+                }
+                const promises = files.map((file) => {
+                    return new Promise((resolveStat) => {
+                        const filePath = dirInfo.getFilePath(file);
+                        _fs.stat(filePath, (statErr, stats) => {
+                            if(statErr || !stats.isDirectory() ||
+                               file === 'node_modules') {
+                                resolveStat([]);
+                                return;
+                            }
+                            resolveStat(this._discoverDirs(dirInfo.getChildDir(file)));
+                        });
+                    });
+                });
+                Promise.all(promises).then((results) => {
+                    resolve(results.reduce((list, dirs) => list.concat(dirs), [ dirInfo ]));
+                }, reject);
+            });
+        });
+    }
+
+    /**
+     * Starts watching a single directory (non recursive) for changes.
+     *
+     * @private
+     * @param {Object} dirInfo The directory to watch.
+     */
+    _watchDir(dirInfo) {
+        if(this._watchers[dirInfo.relPath]) {
+            return;
+        }
+        this._logger.debug(`Watching directory: [${dirInfo.relPath}]`);
+        const watcher = _fs.watch(dirInfo.absPath, (event, fileName) => {
+            this._onChange(dirInfo, fileName);
+        });
+        watcher.on('error', (err) => {
+            this._logger.warn(err, `Error watching directory: [${dirInfo.relPath}]`);
+        });
+        this._watchers[dirInfo.relPath] = watcher;
+    }
+
+    /**
+     * Stops watching a directory and discards templates loaded from it.
+     *
+     * @private
+     * @param {String} relPath The relative path of the directory.
+     */
+    _removeDir(relPath) {
+        this._logger.debug(`Removing directory: [${relPath}]`);
+        const watcher = this._watchers[relPath];
+        if(watcher) {
+            watcher.close();
+        }
+        delete this._watchers[relPath];
+        delete this._dirCache[relPath];
+    }
+
+    /**
+     * Loads templates from the files in a single directory (non recursive).
+     * Directories that match ignore patterns are tracked, but no templates
+     * are loaded from them.
+     *
+     * @private
+     * @param {Object} dirInfo The directory from which to load templates.
+     *
+     * @return {Promise} A promise that will be resolved once the templates
+     *         have been loaded.
+     */
+    _loadDir(dirInfo) {
+        if(dirInfo.level > 1 && this._rootBuilder.isIgnored(dirInfo.absPath)) {
+            this._logger.trace(`Skipping ignored directory: [${dirInfo.relPath}]`);
+            this._dirCache[dirInfo.relPath] = [];
+            return Promise.resolve();
+        }
+        this._logger.debug(`Loading directory: [${dirInfo.relPath}]`);
+        const builder = new TemplateBuilder(dirInfo, this._dataBag,
+                                            this._builderOptions);
+        return builder.build().then((templates) => {
+            this._dirCache[dirInfo.relPath] = templates;
+        });
+    }
+
+    /**
+     * Handles a change notification for a directory.
+     *
+     * @private
+     * @param {Object} dirInfo The directory in which the change occurred.
+     * @param {String} [fileName] The name of the file that changed, if known.
+     */
+    _onChange(dirInfo, fileName) {
+        this._logger.trace(`Change detected: [${dirInfo.relPath}] [${fileName}]`);
+        this._dirtyDirs[dirInfo.relPath] = dirInfo;
+        if(typeof fileName === 'string' && fileName.length > 0) {
+            this._changedFiles[dirInfo.getFilePath(fileName)] = true;
+        }
+
+        if(this._timer) {
+            clearTimeout(this._timer);
+        }
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            this._rebuild();
+        }, this._delay);
+    }
+
+    /**
+     * Removes a module, and every module that (directly or indirectly)
+     * requires it, from the require cache. Directories in the template tree
+     * that contain invalidated modules are marked as dirty.
+     *
+     * @private
+     * @param {String} absPath The absolute path of the module.
+     */
+    _invalidateModule(absPath) {
+        const pending = [ absPath ];
+        const visited = {};
+
+        while(pending.length > 0) {
+            const modulePath = pending.pop();
+            if(visited[modulePath]) {
+                continue;
+            }
+            visited[modulePath] = true;
+
+            const module = require.cache[modulePath];
+            if(!module) {
+                continue;
+            }
+            this._logger.trace(`Invalidating module: [${modulePath}]`);
+            delete require.cache[modulePath];
+
+            const relDir = _path.relative(this._templateRoot, _path.dirname(modulePath));
+            if(this._dirCache[relDir] && !this._dirtyDirs[relDir]) {
+                this._dirtyDirs[relDir] = new DirInfo(this._templateRoot, relDir);
+            }
+
+            Object.keys(require.cache).forEach((parentPath) => {
+                const parent = require.cache[parentPath];
+                if(parent && parent.children && parent.children.indexOf(module) >= 0) {
+                    pending.push(parentPath);
+                }
+            });
+        }
+    }
+
+    /**
+     * Rebuilds the document, reloading directories that have changed. If the
+     * '.cfignore' file has changed, the ignore patterns are reloaded, and
+     * every directory in the tree is reloaded.
+     *
+     * @private
+     * @return {Promise} A promise that will be resolved once the rebuild is
+     *         complete.
+     */
+    _rebuild() {
+        if(this._isBuilding) {
+            this._isPending = true;
+            return Promise.resolve();
+        }
+        this._isBuilding = true;
+
+        const changedFiles = Object.keys(this._changedFiles);
+        this._changedFiles = {};
+        changedFiles.forEach((file) => this._invalidateModule(file));
+
+        if(changedFiles.indexOf(_path.join(this._dirInfo.rootPath, IGNORE_FILE)) >= 0) {
+            // The ignore patterns apply to the entire tree, so every
+            // directory is reloaded.
+            this._logger.info(`Ignore file changed. Reloading all directories: [${this._dirInfo.relPath}]`);
+            this._rootBuilder = new TemplateBuilder(this._dirInfo, this._dataBag,
+                                                    this._builderOptions);
+            this._dirCache = {};
+            this._dirtyDirs[this._dirInfo.relPath] = this._dirInfo;
+        }
+
+        const dirtyDirs = this._dirtyDirs;
+        this._dirtyDirs = {};
+
+        const promises = Object.keys(dirtyDirs).map((relPath) => {
+            const dirInfo = dirtyDirs[relPath];
+            const isDescendant = (path) => {
+                return path === relPath || path.indexOf(`${relPath}${_path.sep}`) === 0;
+            };
+
+            if(!_fs.existsSync(dirInfo.absPath)) {
+                Object.keys(this._dirCache).filter(isDescendant)
+                    .forEach((path) => this._removeDir(path));
+                return Promise.resolve();
+            }
+
+            return this._discoverDirs(dirInfo).then((dirs) => {
+                const found = {};
+                dirs.forEach((dir) => {
+                    found[dir.relPath] = true;
+                });
+                Object.keys(this._dirCache).filter(isDescendant)
+                    .filter((path) => !found[path])
+                    .forEach((path) => this._removeDir(path));
+
+                return Promise.all(dirs.filter((dir) => {
+                    return dir.relPath === relPath || !this._dirCache[dir.relPath];
+                }).map((dir) => {
+                    this._watchDir(dir);
+                    return this._loadDir(dir);
+                }));
+            });
+        });
+
+        return Promise.all(promises).then(() => {
+            this._assemble();
+        }).catch((err) => {
+            this._logger.error(err, 'Error rebuilding templates');
+            // Emitting an unhandled error event throws, so the error is only
+            // emitted if someone is listening.
+            if(this.listenerCount('error') > 0) {
+                this.emit('error', err);
+            }
+        }).finally(() => {
+            this._isBuilding = false;
+            if(this._isPending) {
+                this._isPending = false;
+                return this._rebuild();
+            }
+        });
+    }
+
+    /**
+     * Assembles the cached templates into a document, and emits a build
+     * event with a summary of the changes.
+     *
+     * @private
+     * @return {Object} The generated document.
+     */
+    _assemble() {
+        const templates = Object.keys(this._dirCache)
+                            .reduce((list, relPath) => {
+                                return list.concat(this._dirCache[relPath]);
+                            }, [])
+                            .sort(TemplateBuilder.compareTemplates);
+        const assembler = new StackAssembler(this._assemblerOptions);
+        const doc = assembler.assemble(templates);
+        const summary = TemplateWatcher.summarizeChanges(this._document, doc);
+
+        this._document = doc;
+        this._logger.info('Document rebuilt', summary);
+        this.emit('build', doc, summary);
+
+        return doc;
+    }
+
+    /**
+     * Compares the resources of two documents, and returns the logical ids
+     * of resources that were added, removed or changed.
+     *
+     * @param {Object} [previous] The previous document. If omitted, all
+     *        resources in the current document are treated as added.
+     * @param {Object} current The current document.
+     *
+     * @return {Object} An object with 'added', 'removed' and 'changed'
+     *         arrays of logical ids.
+     */
+    static summarizeChanges(previous, current) {
+        const oldResources = (previous && previous.Resources) || {};
+        const newResources = (current && current.Resources) || {};
+        const summary = {
+            added: [],
+            removed: [],
+            changed: []
+        };
+
+        Object.keys(newResources).forEach((key) => {
+            if(!oldResources.hasOwnProperty(key)) {
+                summary.added.push(key);
+            } else if(JSON.stringify(oldResources[key]) !== JSON.stringify(newResources[key])) {
+                summary.changed.push(key);
+            }
+        });
+        Object.keys(oldResources).forEach((key) => {
+            if(!newResources.hasOwnProperty(key)) {
+                summary.removed.push(key);
+            }
+        });
+
+        return summary;
+    }
+
+    /**
+     * Returns the most recently generated document.
+     *
+     * @return {Object} The cloud formation document, or null if no build
+     *         has completed.
+     */
+    get document() {
+        return this._document;
+    }
+
+    /**
+     * Performs a full build of the template tree, and starts watching every
+     * directory in the tree for changes.
+     *
+     * @return {Promise} A promise that will be resolved with the generated
+     *         document, or rejected if the initial build fails.
+     */
+    start() {
+        this._logger.info(`Starting watch: [${this._dirInfo.relPath}]`);
+        return this._discoverDirs(this._dirInfo).then((dirs) => {
+            return Promise.all(dirs.map((dir) => {
+                this._watchDir(dir);
+                return this._loadDir(dir);
+            }));
+        }).then(() => this._assemble());
+    }
+
+    /**
+     * Stops watching the template tree.
+     */
+    stop() {
+        this._logger.info(`Stopping watch: [${this._dirInfo.relPath}]`);
+        if(this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+        Object.keys(this._watchers).forEach((relPath) => {
+            this._watchers[relPath].close();
+        });
+        this._watchers = {};
+    }
+}
+
+module.exports = TemplateWatcher;
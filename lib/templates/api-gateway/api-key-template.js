@@ -0,0 +1,89 @@
+'use strict';
+
+const Template = require('../template');
+
+const MIN_VALUE_LENGTH = 20;
+const TOKEN_PATTERN = /<% [^<% >]+ %>/;
+
+/**
+ * Specialized template class for an API Gateway api key. Api keys are
+ * associated with usage plans using usage plan key templates.
+ *
+ * @extends {Template}
+ */
+class ApiKeyTemplate extends Template {
+    /**
+     * @param {String} key A key that uniquely identifies the template
+     * @param {String} name The name of the api key
+     */
+    constructor(key, name) {
+        if(typeof name !== 'string' || name.length <= 0) {
+            throw new Error('Invalid api key name specified (arg #2)');
+        }
+
+        super(key, 'AWS::ApiGateway::ApiKey', {
+            Name: name,
+            Description: undefined,
+            Enabled: true,
+            Value: undefined
+        });
+    }
+
+    /**
+     * Assigns a description to the api key template.
+     *
+     * @param {String} [description = ''] An optional description for the
+     *        api key.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setDescription(description) {
+        if(typeof description !== 'string') {
+            description = '';
+        }
+
+        this.properties.Description = description;
+
+        return this;
+    }
+
+    /**
+     * Assigns a specific value to the api key. If a value is not assigned,
+     * a value will be generated when the key is created.
+     *
+     * @param {String} value The value of the key (can be a '<% %>' token).
+     *        Must be at least 20 characters long. The length of values that
+     *        contain tokens is not checked.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setValue(value) {
+        if(typeof value !== 'string' ||
+           (value.length < MIN_VALUE_LENGTH && !TOKEN_PATTERN.test(value))) {
+            throw new Error('Invalid value specified (arg #1)');
+        }
+
+        this.properties.Value = value;
+
+        return this;
+    }
+
+    /**
+     * Enables or disables the api key.
+     *
+     * @param {Boolean} [enabled=true] Determines whether or not the key can
+     *        be used by callers.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setEnabled(enabled) {
+        this.properties.Enabled = (typeof enabled === 'undefined') || !!enabled;
+
+        return this;
+    }
+}
+
+module.exports = ApiKeyTemplate;
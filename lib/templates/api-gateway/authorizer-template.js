@@ -5,11 +5,23 @@ const Template = require('../template');
 const _resourceUtils = require('../../utils/resource-utils');
 const _lambdaUtils = require('../../utils/lambda-utils');
 const _iamUtils = require('../../utils/iam-utils');
+const _fn = require('../../utils/fn');
+const LambdaPermissionTemplate = require('../lambda/lambda-permission-template');
 
 const DEFAULT_SCHEMA_VERSION = 'http://json-schema.org/draft-04/schema#';
+const MAX_RESULT_TTL = 3600;
+const IDENTITY_SOURCE_PREFIXES = {
+    header: 'method.request.header.',
+    querystring: 'method.request.querystring.',
+    stageVariables: 'stageVariables.',
+    context: 'context.'
+};
 
 /**
- * Specialized template class for an API Gateway custom authorizer object.
+ * Specialized template class for an API Gateway authorizer object. The
+ * authorizer is a lambda token authorizer by default, and can be converted
+ * into a lambda request authorizer (see `setRequestIdentitySources()`), or a
+ * cognito user pool authorizer (see `setCognitoUserPools()`).
  *
  * @extends {Template}
  */
@@ -32,27 +44,68 @@ class AuthorizerTemplate extends Template {
             Type: 'TOKEN',
             IdentitySource: 'method.request.header.auth'
         });
+
+        this._lambdaFunction = undefined;
+    }
+
+    /**
+     * Returns the authorization type that methods protected by this
+     * authorizer must declare.
+     *
+     * @return {String} The method authorization type.
+     */
+    get authorizationType() {
+        return (this.properties.Type === 'COGNITO_USER_POOLS')?
+                    'COGNITO_USER_POOLS': 'CUSTOM';
     }
     
+    /**
+     * Returns the IAM permission that api gateway requires in order to
+     * invoke the lambda function of the authorizer.
+     *
+     * @param {Array} templates The list of all templates in the build.
+     * @param {Object} tokenMap The map of tokens to replacement values.
+     *
+     * @return {Object} An object that contains the IAM actions (actions) and
+     *         resources (resources), or undefined if the authorizer does not
+     *         use a lambda function.
+     */
+    getInvocationPermission(templates, tokenMap) {
+        if(!this._lambdaFunction) {
+            return undefined;
+        }
+        return {
+            actions: [ 'lambda:InvokeFunction' ],
+            resources: _lambdaUtils.getFunctionArns(this._lambdaFunction, '', templates,
+                                this._finalizeProperty(this.properties.RestApiId, tokenMap),
+                                tokenMap)
+        };
+    }
+
     /**
      * Assigns a reference to the REST API to the model.
      * 
      * @param {Object} dirInfo An object that contains hierarchical information
      *        for the template.
+     * @param {String} [exportPrefix] An optional export prefix that indicates
+     *        that the rest api is declared in another stack.
      *
      * @return {Object} A reference to the template. Can be used to
      *         chain multiple calls.
      */
-    setRestApiId(dirInfo) {
-        this.properties.RestApiId = _resourceUtils.getRestApi(dirInfo);
+    setRestApiId(dirInfo, exportPrefix) {
+        this.properties.RestApiId = _resourceUtils.getRestApi(dirInfo, exportPrefix);
         
         return this;
     }
 
     /**
-     * Assigns a lambda function to the authorizer template.
+     * Assigns a lambda function to the authorizer template. A permission that
+     * allows api gateway to invoke the function will be generated when the
+     * stack is assembled.
      *
-     * @param {String} lambdaFunction The name of the lambda function. A full
+     * @param {String|Object} lambdaFunction The name of the lambda function,
+     *        or a reference to a lambda function or alias template. A full
      *        URI will be generated using this value.
      * @param {String} [role = '<% authorizer_invoke_role %>'] An optional IAM
      *        role name that will be used to access the authorizer.
@@ -61,13 +114,201 @@ class AuthorizerTemplate extends Template {
      *         chain multiple calls.
      */
     setAuthorizerLambda(lambdaFunction, role) {
-        if(typeof lambdaFunction !== 'string' || lambdaFunction.length <= 0) {
+        if(!(lambdaFunction instanceof Template) &&
+           (typeof lambdaFunction !== 'string' || lambdaFunction.length <= 0)) {
             throw new Error('Invalid lambda function specified (arg #2)');
         }
+        if(this.properties.Type === 'COGNITO_USER_POOLS') {
+            throw new Error('Lambda functions cannot be assigned to cognito user pool authorizers');
+        }
         role = role || '<% authorizer_invoke_role %>';
         const props = this.properties;
         props.AuthorizerUri = _lambdaUtils.getLambdaUri(lambdaFunction, '');
         props.AuthorizerCredentials = _iamUtils.getRoleUri(role);
+        this._lambdaFunction = lambdaFunction;
+
+        return this;
+    }
+
+    /**
+     * Generates a permission that allows api gateway to invoke the lambda
+     * function of the authorizer, if any. The permission is scoped to the
+     * authorizer.
+     *
+     * @param {Array} templates The list of all templates in the build.
+     * @param {Object} tokenMap The map of tokens to replacement values.
+     *
+     * @return {Array} A list of generated templates.
+     */
+    generateTemplates(templates, tokenMap) {
+        if(!this._lambdaFunction || !this.properties.RestApiId) {
+            return [];
+        }
+        const restApiId = this._finalizeProperty(this.properties.RestApiId, tokenMap);
+        const sourceArn = _lambdaUtils.getSourceArn(this.properties.RestApiId,
+                                                    [ '/authorizers/', _fn.ref(this) ]);
+
+        return _lambdaUtils.getFunctionNames(this._lambdaFunction, '', templates,
+                                             restApiId, tokenMap).map((item) => {
+            return new LambdaPermissionTemplate(`${this.key}_PERMISSION`)
+                .setFunction(item.name)
+                .setSourceArn(sourceArn);
+        });
+    }
+
+    /**
+     * Configures the authorizer as a token authorizer, that reads the
+     * identity token from a request header. This is the default
+     * configuration, and can also be used to set the token header of cognito
+     * user pool authorizers.
+     *
+     * @param {String} [header='auth'] The name of the header that contains
+     *        the token.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setTokenSource(header) {
+        if(typeof header !== 'string' || header.length <= 0) {
+            header = 'auth';
+        }
+        const props = this.properties;
+        if(props.Type !== 'COGNITO_USER_POOLS') {
+            props.Type = 'TOKEN';
+        }
+        props.IdentitySource = `${IDENTITY_SOURCE_PREFIXES.header}${header}`;
+
+        return this;
+    }
+
+    /**
+     * Configures the authorizer as a request authorizer, that receives the
+     * specified identity sources from the request. Requests that do not
+     * include all of the identity sources will be rejected without invoking
+     * the authorizer.
+     *
+     * @param {Object} sources A map of source types to lists of names.
+     *        Supported source types are 'header', 'querystring',
+     *        'stageVariables' and 'context'. For example:
+     *        { header: [ 'Authorization' ], querystring: [ 'tenant' ] }
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setRequestIdentitySources(sources) {
+        if(!this._isObject(sources)) {
+            throw new Error('Invalid identity sources specified (arg #1)');
+        }
+        if(this.properties.Type === 'COGNITO_USER_POOLS') {
+            throw new Error('Request identity sources cannot be assigned to cognito user pool authorizers');
+        }
+        const identitySources = [];
+        for(let sourceType in sources) {
+            const prefix = IDENTITY_SOURCE_PREFIXES[sourceType];
+            if(!prefix) {
+                throw new Error(`Invalid identity source type [${sourceType}]. Must be one of: [${Object.keys(IDENTITY_SOURCE_PREFIXES)}]`);
+            }
+            let names = sources[sourceType];
+            if(typeof names === 'string') {
+                names = [ names ];
+            }
+            if(!(names instanceof Array) ||
+               names.some((name) => typeof name !== 'string' || name.length <= 0)) {
+                throw new Error(`Invalid identity source names specified for type [${sourceType}]`);
+            }
+            names.forEach((name) => {
+                identitySources.push(`${prefix}${name}`);
+            });
+        }
+        if(identitySources.length <= 0) {
+            throw new Error('Invalid identity sources specified (arg #1). At least one source is required');
+        }
+        const props = this.properties;
+        props.Type = 'REQUEST';
+        props.IdentitySource = identitySources.join(', ');
+        props.IdentityValidationExpression = undefined;
+
+        return this;
+    }
+
+    /**
+     * Configures the authorizer as a cognito user pool authorizer. The token
+     * is read from the header specified by `setTokenSource()`.
+     *
+     * @param {Array|String|Object} providerArns The ARN(s) of the cognito
+     *        user pools. Values may be '<% %>' tokens or intrinsic functions.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setCognitoUserPools(providerArns) {
+        if(typeof providerArns === 'string' || this._isObject(providerArns)) {
+            providerArns = [ providerArns ];
+        }
+        if(!(providerArns instanceof Array) || providerArns.length <= 0 ||
+           providerArns.some((arn) => (typeof arn !== 'string' || arn.length <= 0) &&
+                                      !this._isObject(arn))) {
+            throw new Error('Invalid provider arns specified (arg #1)');
+        }
+        const props = this.properties;
+        if(props.Type === 'REQUEST') {
+            props.IdentitySource = `${IDENTITY_SOURCE_PREFIXES.header}auth`;
+        }
+        props.Type = 'COGNITO_USER_POOLS';
+        props.ProviderARNs = _clone(providerArns);
+        props.AuthorizerUri = undefined;
+        props.AuthorizerCredentials = undefined;
+        props.AuthorizerResultTtlInSeconds = undefined;
+        this._lambdaFunction = undefined;
+
+        return this;
+    }
+
+    /**
+     * Assigns a regular expression that is used to validate tokens before
+     * the authorizer is invoked. Applies only to token and cognito user pool
+     * authorizers.
+     *
+     * @param {String} expression The regular expression.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setIdentityValidationExpression(expression) {
+        if(typeof expression !== 'string' || expression.length <= 0) {
+            throw new Error('Invalid expression specified (arg #1)');
+        }
+        if(this.properties.Type === 'REQUEST') {
+            throw new Error('Identity validation expressions are not supported by request authorizers');
+        }
+        try {
+            new RegExp(expression);
+        } catch(ex) {
+            throw new Error(`Invalid expression specified (arg #1). ${ex.message}`);
+        }
+        this.properties.IdentityValidationExpression = expression;
+
+        return this;
+    }
+
+    /**
+     * Sets the number of seconds for which authorization results are
+     * cached. Caching can be disabled by specifying a value of 0.
+     *
+     * @param {Number} seconds The time to live, in seconds (0 - 3600).
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setResultTtl(seconds) {
+        if(typeof seconds !== 'number' || seconds % 1 !== 0 ||
+           seconds < 0 || seconds > MAX_RESULT_TTL) {
+            throw new Error(`Invalid ttl specified (arg #1). Must be an integer between 0 and ${MAX_RESULT_TTL}`);
+        }
+        if(this.properties.Type === 'COGNITO_USER_POOLS') {
+            throw new Error('Result ttls are not supported by cognito user pool authorizers');
+        }
+        this.properties.AuthorizerResultTtlInSeconds = seconds;
 
         return this;
     }
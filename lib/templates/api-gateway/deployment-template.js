@@ -0,0 +1,161 @@
+'use strict';
+
+const _crypto = require('crypto');
+const Template = require('../template');
+const _resourceUtils = require('../../utils/resource-utils');
+
+const HASH_LENGTH = 10;
+
+/**
+ * Specialized template class for an API Gateway deployment. The deployment
+ * automatically depends on every method of its rest api that is included
+ * in the build.
+ *
+ * Because cloud formation does not redeploy an api unless the deployment
+ * resource is replaced, a content hash of all the methods can optionally be
+ * appended to the logical id of the deployment (see `enableContentHash()`).
+ * References to the deployment template (`fn.ref()`, `dependsOn()`) use its
+ * `keyToken`, which resolves to the final logical id.
+ *
+ * @extends {Template}
+ */
+class DeploymentTemplate extends Template {
+    /**
+     * @param {String} key A key that uniquely identifies the template
+     */
+    constructor(key) {
+        super(key, 'AWS::ApiGateway::Deployment', {
+            RestApiId: null,
+            Description: undefined
+        });
+
+        this._tokenKey = key;
+        this._useContentHash = false;
+        this._hashedKey = undefined;
+        this._methodKeys = [];
+    }
+
+    /**
+     * The key associated with the template. If content hashing is enabled,
+     * this key will include the hash once the template has been prepared.
+     *
+     * @return {String} The template key.
+     */
+    get key() {
+        return this._hashedKey || super.key;
+    }
+
+    /**
+     * A token that resolves to the final logical id of the deployment. This
+     * token should be used when referencing the deployment from other
+     * templates.
+     *
+     * @return {String} The token for the deployment logical id.
+     */
+    get keyToken() {
+        return `<% ${this._tokenKey} %>`;
+    }
+
+    /**
+     * Assigns a reference to the REST API to the deployment.
+     *
+     * @param {Object} dirInfo An object that contains hierarchical information
+     *        for the template.
+     * @param {String} [exportPrefix] An optional export prefix that indicates
+     *        that the rest api is declared in another stack.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setRestApiId(dirInfo, exportPrefix) {
+        this.properties.RestApiId = _resourceUtils.getRestApi(dirInfo, exportPrefix);
+
+        return this;
+    }
+
+    /**
+     * Assigns a description to the deployment template.
+     *
+     * @param {String} [description = ''] An optional description for the
+     *        deployment.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setDescription(description) {
+        if(typeof description !== 'string') {
+            description = '';
+        }
+
+        this.properties.Description = description;
+
+        return this;
+    }
+
+    /**
+     * Appends a hash of the contents of all methods of the rest api to the
+     * logical id of the deployment, so that any change to a method results
+     * in a new deployment.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    enableContentHash() {
+        this._useContentHash = true;
+
+        return this;
+    }
+
+    /**
+     * Identifies all methods of the rest api in the build, and computes the
+     * content hash if enabled.
+     *
+     * @param {Array} templates The list of all templates in the build.
+     * @param {Object} tokenMap The map of tokens to replacement values.
+     */
+    prepare(templates, tokenMap) {
+        const restApiId = this._finalizeProperty(this.properties.RestApiId, tokenMap);
+        const methods = _resourceUtils.getMethods(templates, restApiId, tokenMap);
+
+        this._methodKeys = methods.map((method) => method.template.key);
+        this._hashedKey = undefined;
+
+        if(this._useContentHash) {
+            const hash = _crypto.createHash('sha256');
+            methods.forEach((method) => {
+                hash.update(method.template.key);
+                hash.update(JSON.stringify(method.markup));
+            });
+            this._hashedKey = `${super.key}${hash.digest('hex').substring(0, HASH_LENGTH)}`;
+            tokenMap[this._tokenKey] = this._hashedKey;
+        }
+    }
+
+    /**
+     * Generates the deployment markup, including dependencies on all methods
+     * of the rest api.
+     *
+     * @param {Object} dataBag A hash containing data that can be injected
+     *        into placeholders within the tokens.
+     * @param {Array} [issues] An optional array to which unresolved tokens
+     *        and unassigned (null) values will be reported.
+     *
+     * @return {Object} An object that represents the template markup
+     */
+    finalize(data, issues) {
+        const result = super.finalize(data, issues);
+        const dependencies = result.DependsOn || [];
+        this._methodKeys.forEach((key) => {
+            if(dependencies.indexOf(key) < 0) {
+                dependencies.push(key);
+            }
+        });
+        if(dependencies.length > 0) {
+            result.DependsOn = dependencies;
+        }
+
+        return result;
+    }
+}
+
+module.exports = DeploymentTemplate;
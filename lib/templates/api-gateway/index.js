@@ -33,7 +33,32 @@ const index = {
     /**
      * Reference to the template abstraction for custom authorizer template.
      */
-    AuthorizerTemplate: require('./authorizer-template')
+    AuthorizerTemplate: require('./authorizer-template'),
+
+    /**
+     * Reference to the template abstraction for API gateway deployments.
+     */
+    DeploymentTemplate: require('./deployment-template'),
+
+    /**
+     * Reference to the template abstraction for API gateway stages.
+     */
+    StageTemplate: require('./stage-template'),
+
+    /**
+     * Reference to the template abstraction for API gateway api keys.
+     */
+    ApiKeyTemplate: require('./api-key-template'),
+
+    /**
+     * Reference to the template abstraction for API gateway usage plans.
+     */
+    UsagePlanTemplate: require('./usage-plan-template'),
+
+    /**
+     * Reference to the template abstraction for API gateway usage plan keys.
+     */
+    UsagePlanKeyTemplate: require('./usage-plan-key-template')
 };
 
 module.exports = index;
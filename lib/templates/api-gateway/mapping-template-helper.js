@@ -98,6 +98,74 @@ const mappingTemplateHelper = {
         return `#if(${inputExpr} != "")
     ${comma}"${outputProp}": ${quote}${inputExpr}${quote}
 ${elseClause}#end`;
+    },
+
+    /**
+     * Generates a template snippet that references the request body (or a
+     * part of the request body) as a JSON value.
+     *
+     * @param {String} [path='$'] An optional JSON path expression that
+     *        identifies the part of the body to reference.
+     * @param {Boolean} [escape=false] If set to true, the JSON value will be
+     *        escaped so that it can be embedded within a JSON string.
+     *
+     * @return {String} An apache velocity template snippet that can be
+     *        injected into a larger template.
+     */
+    mapBody: function(path, escape) {
+        if(typeof path !== 'string' || path.length <= 0) {
+            path = '$';
+        }
+        const expr = `$input.json('${path}')`;
+        return (!!escape)? `$util.escapeJavaScript(${expr})`: expr;
+    },
+
+    /**
+     * Generates a url encoded form body, typically used when integrating
+     * with query based AWS service apis (SQS, SNS).
+     *
+     * @param {Object} params A map of form parameter names to values. Values
+     *        may be apache velocity expressions (for example, '$input.body'),
+     *        or literal strings enclosed in single quotes.
+     *
+     * @return {String} An apache velocity template snippet that can be
+     *        injected into a larger template.
+     */
+    mapFormBody: function(params) {
+        if(!params || (params instanceof Array) || typeof params !== 'object') {
+            throw new Error('Invalid params specified (arg #1)');
+        }
+        return Object.keys(params).map((name) => {
+            return `${name}=$util.urlEncode(${params[name]})`;
+        }).join('&');
+    },
+
+    /**
+     * Generates a DynamoDB key object whose attribute values are read from
+     * request parameters (path, query string or header) with the same
+     * names as the key attributes.
+     *
+     * @param {Object} keys A map of key attribute names to DynamoDB
+     *        attribute types ('S', 'N' or 'B').
+     * @param {String} [prefix=''] An optional prefix for the property names
+     *        of the generated object. For example, a prefix of ':' generates
+     *        expression attribute values.
+     *
+     * @return {String} An apache velocity template snippet that can be
+     *        injected into a larger template.
+     */
+    mapDynamoDbKey: function(keys, prefix) {
+        if(!keys || (keys instanceof Array) || typeof keys !== 'object' ||
+           Object.keys(keys).length <= 0) {
+            throw new Error('Invalid keys specified (arg #1)');
+        }
+        if(typeof prefix !== 'string') {
+            prefix = '';
+        }
+        const attributes = Object.keys(keys).map((name) => {
+            return `"${prefix}${name}": { "${keys[name]}": "$util.escapeJavaScript($input.params('${name}'))" }`;
+        });
+        return `{ ${attributes.join(', ')} }`;
     }
 }
 
@@ -6,6 +6,21 @@ const Template = require('../template');
 const _resourceUtils = require('../../utils/resource-utils');
 const _lambdaUtils = require('../../utils/lambda-utils');
 const _iamUtils = require('../../utils/iam-utils');
+const _corsUtils = require('../../utils/cors-utils');
+const _serviceUtils = require('../../utils/service-utils');
+const _fn = require('../../utils/fn');
+const _mappingTemplateHelper = require('./mapping-template-helper');
+const AuthorizerTemplate = require('./authorizer-template');
+const LambdaPermissionTemplate = require('../lambda/lambda-permission-template');
+
+const PROXY_INTEGRATION_TYPES = [ 'AWS_PROXY', 'HTTP_PROXY' ];
+const HTTP_PARAMETER_TYPES = [ 'path', 'querystring', 'header' ];
+const MIN_INTEGRATION_TIMEOUT = 50;
+const MAX_INTEGRATION_TIMEOUT = 29000;
+const DYNAMODB_ACTIONS = [ 'PutItem', 'GetItem', 'Query' ];
+const S3_OPERATIONS = [ 'get', 'put' ];
+const FORM_CONTENT_TYPE = "'application/x-www-form-urlencoded'";
+const ARN_VARIABLE = '${Arn}';
 
 /**
  * Specialized method template class for an API Gateway method.
@@ -29,13 +44,47 @@ class MethodTemplate extends Template {
                 Type: 'AWS',
                 IntegrationHttpMethod: 'POST',
                 Uri: null,
-                Credentials: null,
+                Credentials: undefined,
                 PassthroughBehavior: 'NEVER',
                 RequestTemplates: { },
                 IntegrationResponses: [ ]
             },
             MethodResponses: [ ]
         });
+
+        this._cors = undefined;
+        this._mapRequestParameters = false;
+        this._lambdaFunction = undefined;
+        this._servicePermission = undefined;
+        this._models = [];
+    }
+
+    /**
+     * Returns the IAM permission that api gateway requires in order to
+     * invoke the back end of the method, if the back end is a lambda
+     * function or an AWS service. If the name of a lambda function depends
+     * on stage variables, the function of every stage of the rest api in the
+     * build is included.
+     *
+     * @param {Array} templates The list of all templates in the build.
+     * @param {Object} tokenMap The map of tokens to replacement values.
+     *
+     * @return {Object} An object that contains the IAM actions (actions) and
+     *         resources (resources), or undefined if the back end does not
+     *         require IAM permissions, or does not identify its resources.
+     */
+    getInvocationPermission(templates, tokenMap) {
+        if(this._lambdaFunction) {
+            const resources = _lambdaUtils.getFunctionArns(this._lambdaFunction.target,
+                                this._lambdaFunction.suffix, templates,
+                                this._finalizeProperty(this.properties.RestApiId, tokenMap),
+                                tokenMap);
+            return (resources.length <= 0)? undefined: {
+                actions: [ 'lambda:InvokeFunction' ],
+                resources: resources
+            };
+        }
+        return _clone(this._servicePermission);
     }
 
     /**
@@ -92,19 +141,448 @@ class MethodTemplate extends Template {
         }
     }
 
+    /**
+     * Determines whether or not the method uses a proxy (lambda or http)
+     * integration.
+     *
+     * @private
+     *
+     * @return {Boolean} True if the method uses a proxy integration.
+     */
+    _isProxyIntegration() {
+        const integration = this.properties.Integration;
+        return !!integration && PROXY_INTEGRATION_TYPES.indexOf(integration.Type) >= 0;
+    }
+
+    /**
+     * Throws an error if the method uses a proxy integration. Used to
+     * reject calls that configure request or response mappings, which are
+     * not supported by proxy integrations.
+     *
+     * @private
+     *
+     * @param {String} operation The name of the operation being performed.
+     */
+    _ensureMappingSupported(operation) {
+        if(this._isProxyIntegration()) {
+            throw new Error(`Cannot invoke ${operation}() on method [${this.key}]. Mappings are not supported by proxy integrations`);
+        }
+    }
+
+    /**
+     * Restores the default request and response mapping properties of the
+     * integration, if the method currently uses a proxy integration.
+     *
+     * @private
+     */
+    _clearProxyIntegration() {
+        if(!this._isProxyIntegration()) {
+            return;
+        }
+        const integration = this.properties.Integration;
+        integration.Type = 'AWS';
+        integration.PassthroughBehavior = 'NEVER';
+        integration.RequestTemplates = { };
+        integration.IntegrationResponses = [ ];
+        this.properties.MethodResponses = [ ];
+    }
+
+    /**
+     * Restores integration settings that only apply to specific back ends
+     * (timeouts, TLS settings, passthrough behavior and the form content
+     * type used by SQS and SNS) to their defaults. Invoked whenever the back
+     * end of the method is changed, so that the settings of the previous
+     * back end are not carried over.
+     *
+     * @private
+     */
+    _resetIntegration() {
+        this._clearProxyIntegration();
+        const integration = this._ensureProperty('Integration');
+        integration.PassthroughBehavior = 'NEVER';
+        integration.TimeoutInMillis = undefined;
+        integration.TlsConfig = undefined;
+
+        const params = integration.RequestParameters;
+        const contentType = 'integration.request.header.Content-Type';
+        if(params && params[contentType] === FORM_CONTENT_TYPE) {
+            delete params[contentType];
+            if(Object.keys(params).length <= 0) {
+                integration.RequestParameters = undefined;
+            }
+        }
+    }
+
+    /**
+     * Assigns a request template that embeds the ARN of an AWS resource in
+     * place of the '${Arn}' placeholder. ARNs specified as strings
+     * (including '<% %>' tokens) are embedded as is, while template
+     * references and intrinsic functions are substituted using Fn::Sub.
+     *
+     * @private
+     *
+     * @param {String} template The request template.
+     * @param {String|Object} arn The ARN of the resource.
+     */
+    _setArnRequestTemplate(template, arn) {
+        if(typeof arn === 'string') {
+            this.setRequestTemplate(template.split(ARN_VARIABLE).join(arn));
+            return;
+        }
+        const requestTemplates = this._ensureProperty('Integration.RequestTemplates');
+        requestTemplates['application/json'] = _fn.sub(template, {
+            Arn: arn
+        });
+    }
+
+    /**
+     * Configures an http integration for the method. Path parameters
+     * referenced by the url (for example, '{id}' or '{proxy}' for greedy
+     * resources) are declared as mandatory request path parameters.
+     *
+     * @private
+     *
+     * @param {String} type The integration type.
+     * @param {String|Object} url The url of the http endpoint.
+     * @param {String} verb The http verb used to invoke the endpoint.
+     * @param {Object} options Integration options.
+     */
+    _setHttpIntegration(type, url, verb, options) {
+        if((typeof url !== 'string' || url.length <= 0) && !this._isObject(url)) {
+            throw new Error('Invalid url specified (arg #1)');
+        }
+        if(typeof verb !== 'string' || verb.length <= 0) {
+            verb = 'ANY';
+        }
+        if(!this._isObject(options)) {
+            options = {};
+        }
+        const timeout = options.timeout;
+        if(typeof timeout !== 'undefined' &&
+           (typeof timeout !== 'number' || timeout < MIN_INTEGRATION_TIMEOUT ||
+            timeout > MAX_INTEGRATION_TIMEOUT)) {
+            throw new Error(`Invalid timeout specified. Must be between ${MIN_INTEGRATION_TIMEOUT} and ${MAX_INTEGRATION_TIMEOUT} milliseconds`);
+        }
+
+        const integration = this._ensureProperty('Integration');
+        integration.Type = type;
+        integration.IntegrationHttpMethod = verb.toUpperCase();
+        integration.Uri = url;
+        integration.Credentials = undefined;
+        integration.TimeoutInMillis = timeout;
+        integration.TlsConfig = options.insecureSkipVerification?
+                                    { InsecureSkipVerification: true }: undefined;
+
+        this._mapRequestParameters = (options.mapParameters !== false);
+        this._lambdaFunction = undefined;
+        this._servicePermission = undefined;
+
+        if(typeof url === 'string') {
+            // Stage variables (${stageVariables.x}) are not path parameters.
+            const pattern = /(?<!\$)\{([^{}+.]+)\+?\}/g;
+            let match = null;
+            while((match = pattern.exec(url)) !== null) {
+                this.setRequestPath(match[1], true);
+            }
+            integration.Uri = url.replace(/(?<!\$)\{([^{}+.]+)\+\}/g, '{$1}');
+        }
+    }
+
+    /**
+     * Configures an AWS service integration for the method.
+     *
+     * @private
+     *
+     * @param {Object} uri The service integration uri.
+     * @param {String} verb The http verb used to invoke the service.
+     * @param {String} [role = '<% service_invoke_role %>'] An optional IAM
+     *        role name that will be used by the API gateway to call the
+     *        service.
+     * @param {Array} actions The IAM actions required to invoke the service.
+     * @param {Array} [resources] The resources on which the actions are
+     *        performed. If omitted, no permission is derived for the method.
+     */
+    _setServiceIntegration(uri, verb, role, actions, resources) {
+        role = role || '<% service_invoke_role %>';
+        this._resetIntegration();
+        const integration = this._ensureProperty('Integration');
+        integration.Type = 'AWS';
+        integration.IntegrationHttpMethod = verb;
+        integration.Uri = uri;
+        integration.Credentials = _iamUtils.getRoleUri(role);
+        this._mapRequestParameters = false;
+        this._lambdaFunction = undefined;
+        this._servicePermission = resources? {
+            actions: actions,
+            resources: resources
+        }: undefined;
+    }
+
+    /**
+     * Records the lambda function invoked by the method, so that an invoke
+     * permission can be generated for it.
+     *
+     * @private
+     *
+     * @param {String|Object} lambdaFunction The name of the lambda function,
+     *        or a reference to a lambda function or alias template.
+     */
+    _setLambdaFunction(lambdaFunction) {
+        this._servicePermission = undefined;
+        this._lambdaFunction = {
+            target: lambdaFunction,
+            suffix: '${stageVariables.stack}'
+        };
+    }
+
+    /**
+     * Maps every request parameter (path, query string and header) declared
+     * on the method to the integration parameter with the same name, unless
+     * the integration parameter has been explicitly mapped.
+     *
+     * @private
+     *
+     * @param {Object} props The finalized method properties.
+     */
+    _addIntegrationParameters(props) {
+        const requestParams = props.RequestParameters || {};
+        const names = Object.keys(requestParams);
+        if(names.length <= 0) {
+            return;
+        }
+        const integration = props.Integration;
+        const integrationParams = integration.RequestParameters || {};
+        names.forEach((name) => {
+            const tokens = name.split('.');
+            if(HTTP_PARAMETER_TYPES.indexOf(tokens[2]) < 0) {
+                return;
+            }
+            const param = `integration.request.${tokens.slice(2).join('.')}`;
+            if(typeof integrationParams[param] === 'undefined') {
+                integrationParams[param] = name;
+            }
+        });
+        integration.RequestParameters = integrationParams;
+    }
+
+    /**
+     * Adds CORS response headers to every method response and integration
+     * response of the finalized method markup. Headers that have already
+     * been declared will not be overwritten.
+     *
+     * @private
+     * @param {Object} props The finalized method properties.
+     * @param {Object} cors The CORS configuration.
+     */
+    _addCorsHeaders(props, cors) {
+        const headers = _corsUtils.getResponseHeaders(cors);
+        const override = _corsUtils.getOriginOverride(cors);
+
+        (props.MethodResponses || []).forEach((response) => {
+            response.ResponseParameters = response.ResponseParameters || {};
+            for(let header in headers) {
+                const param = `method.response.header.${header}`;
+                if(typeof response.ResponseParameters[param] === 'undefined') {
+                    response.ResponseParameters[param] = true;
+                }
+            }
+        });
+
+        const integration = props.Integration || {};
+        (integration.IntegrationResponses || []).forEach((response) => {
+            response.ResponseParameters = response.ResponseParameters || {};
+            for(let header in headers) {
+                const param = `method.response.header.${header}`;
+                if(typeof response.ResponseParameters[param] === 'undefined') {
+                    response.ResponseParameters[param] = headers[header];
+                }
+            }
+            const templates = response.ResponseTemplates || {};
+            for(let contentType in templates) {
+                const template = templates[contentType];
+                if(override.length > 0 && typeof template === 'string' &&
+                   template.indexOf(override) < 0) {
+                    templates[contentType] = `${override}${template}`;
+                }
+            }
+        });
+    }
+
+    /**
+     * Generates a preflight (OPTIONS) method for a resource, if CORS is
+     * enabled for the resource, the resource has at least one method, and an
+     * OPTIONS method has not been explicitly declared.
+     *
+     * @param {String} key A key that uniquely identifies the generated
+     *        template
+     * @param {Object} restApiId A reference to the rest api.
+     * @param {Object} resourceId A reference to the resource.
+     * @param {Object} cors The CORS configuration for the resource.
+     * @param {Array} templates The list of all templates in the build.
+     * @param {Object} tokenMap The map of tokens to replacement values.
+     *
+     * @return {Array} A list containing the generated method template, or
+     *         an empty list if no method was generated.
+     */
+    static generatePreflight(key, restApiId, resourceId, cors, templates, tokenMap) {
+        if(!cors) {
+            return [];
+        }
+        const method = new MethodTemplate(key)
+            .setHttpMethod('OPTIONS')
+            .setAuthorizer(null)
+            .setMockBackend()
+            .setRequestTemplate('{ "statusCode": 200 }')
+            .setIntegrationResponse('200');
+        method.properties.RestApiId = _clone(restApiId);
+        method.properties.ResourceId = _clone(resourceId);
+
+        const methods = _resourceUtils.getMethods(templates,
+                                    method._finalizeProperty(restApiId, tokenMap), tokenMap,
+                                    method._finalizeProperty(resourceId, tokenMap))
+                            .map((item) => item.markup.Properties.HttpMethod);
+
+        if(methods.length <= 0 || methods.indexOf('OPTIONS') >= 0) {
+            return [];
+        }
+
+        const headers = _corsUtils.getPreflightHeaders(cors, methods);
+        for(let header in headers) {
+            method.setResponseHeader(header, headers[header]);
+        }
+        const override = _corsUtils.getOriginOverride(cors);
+        if(override.length > 0) {
+            method.setResponseTemplate(override);
+        }
+
+        return [ method ];
+    }
+
+    /**
+     * Generates permissions that allow api gateway to invoke the lambda
+     * function of the method, if any. Each permission is scoped to the rest
+     * api, http method and resource path of the method. If the name of the
+     * function depends on stage variables, a separate permission is
+     * generated for every stage of the rest api in the build.
+     *
+     * @param {Array} templates The list of all templates in the build.
+     * @param {Object} tokenMap The map of tokens to replacement values.
+     *
+     * @return {Array} A list of generated templates.
+     */
+    generateTemplates(templates, tokenMap) {
+        const props = this.properties;
+        if(!this._lambdaFunction || !props.RestApiId) {
+            return [];
+        }
+        const restApiId = this._finalizeProperty(props.RestApiId, tokenMap);
+        const resourceId = this._finalizeProperty(props.ResourceId, tokenMap);
+
+        let path = _resourceUtils.getResourcePath(templates, resourceId, tokenMap);
+        path = (typeof path === 'string')? (path.replace(/\{[^{}]+\}/g, '*') || '/'): '/*';
+        const verb = (!props.HttpMethod || props.HttpMethod === 'ANY')? '*': props.HttpMethod;
+
+        const functions = _lambdaUtils.getFunctionNames(this._lambdaFunction.target,
+                                                        this._lambdaFunction.suffix,
+                                                        templates, restApiId, tokenMap);
+        if(functions.length <= 0) {
+            this._logger.warn(`No stage of the rest api defines the variables in [${this._lambdaFunction.suffix}]. ` +
+                              `Lambda permissions will not be generated for [${this.key}]`);
+        }
+        return functions.map((item) => {
+            const key = item.stage? `${this.key}_${item.stage}_PERMISSION`: `${this.key}_PERMISSION`;
+            const stageName = item.stageName || '*';
+            return new LambdaPermissionTemplate(key)
+                .setFunction(item.name)
+                .setSourceArn(_lambdaUtils.getSourceArn(props.RestApiId,
+                                                        `/${stageName}/${verb}${path}`));
+        });
+    }
+
+    /**
+     * Returns the names of the request and response models used by the
+     * method.
+     *
+     * @private
+     * @param {Object} tokenMap The map of tokens used to finalize the model
+     *        names.
+     *
+     * @return {Array} A list of model names.
+     */
+    _getModelNames(tokenMap) {
+        const props = this.properties;
+        const models = [ props.RequestModels ].concat((props.MethodResponses || []).map((response) => {
+            return response.ResponseModels;
+        }));
+        const names = [];
+        models.forEach((contentTypes) => {
+            for(let contentType in contentTypes) {
+                const name = this._finalizeProperty(contentTypes[contentType], tokenMap);
+                if(names.indexOf(name) < 0) {
+                    names.push(name);
+                }
+            }
+        });
+        return names;
+    }
+
+    /**
+     * Identifies the CORS configuration (if any) that applies to the
+     * resource to which the method belongs, and the models in the build that
+     * are used by the method.
+     *
+     * @param {Array} templates The list of all templates in the build.
+     * @param {Object} tokenMap The map of tokens to replacement values.
+     */
+    prepare(templates, tokenMap) {
+        const restApiId = this._finalizeProperty(this.properties.RestApiId, tokenMap);
+        this._cors = _corsUtils.getConfig(templates, restApiId,
+                            this._finalizeProperty(this.properties.ResourceId, tokenMap));
+        this._models = _resourceUtils.getModels(templates, restApiId,
+                                                this._getModelNames(tokenMap), tokenMap);
+    }
+
+    /**
+     * Generates the method markup, adding CORS response headers if CORS is
+     * enabled for the resource to which the method belongs, integration
+     * parameter mappings for http integrations, and dependencies on the
+     * models used by the method.
+     *
+     * @param {Object} dataBag A hash containing data that can be injected
+     *        into placeholders within the tokens.
+     * @param {Array} [issues] An optional array to which unresolved tokens
+     *        and unassigned (null) values will be reported.
+     *
+     * @return {Object} An object that represents the template markup
+     */
+    finalize(data, issues) {
+        const result = super.finalize(data, issues);
+        if(this._mapRequestParameters) {
+            this._addIntegrationParameters(result.Properties);
+        }
+        if(this._cors) {
+            this._addCorsHeaders(result.Properties, this._cors);
+        }
+        this._addDependencies(result, this._models);
+
+        return result;
+    }
+
     /**
      * Assigns parent information to the template. This includes references to
      * API object and a parent resource object.
      *
      * @param {Object} dirInfo An object that contains hierarchical information
      *        for the template.
+     * @param {String} [exportPrefix] An optional export prefix that indicates
+     *        that the rest api is declared in another stack.
      *
      * @return {Object} A reference to the template. Can be used to
      *         chain multiple calls.
      */
-    setParent(dirInfo) {
-        this.properties.RestApiId = _resourceUtils.getRestApi(dirInfo);
-        this.properties.ResourceId = _resourceUtils.getCurrentResource(dirInfo);
+    setParent(dirInfo, exportPrefix) {
+        this.properties.RestApiId = _resourceUtils.getRestApi(dirInfo, exportPrefix);
+        this.properties.ResourceId = _resourceUtils.getCurrentResource(dirInfo, exportPrefix);
 
         return this;
     }
@@ -129,27 +607,129 @@ class MethodTemplate extends Template {
     /**
      * Sets the authorizer for the template.
      *
-     * @param {String} id The id of the authorizer. If a falsy value is
-     *        specified, authorization will be disabled.
+     * @param {String|Object} id The id of the authorizer, or a reference to
+     *        the authorizer template. If a falsy value is specified,
+     *        authorization will be disabled. Authorizers specified by id are
+     *        assumed to be custom (lambda) authorizers. Use
+     *        `setCognitoAuthorizer()` for cognito user pool authorizers that
+     *        are referenced by id.
      *
      * @return {Object} A reference to the template. Can be used to
      *         chain multiple calls.
      */
     setAuthorizer(id) {
+        const props = this.properties;
+        props.AuthorizerId = undefined;
+        props.AuthorizationScopes = undefined;
         if(!id) {
-            this.properties.AuthorizationType = 'NONE';
+            props.AuthorizationType = 'NONE';
+            return this;
+        }
+        if(id instanceof AuthorizerTemplate) {
+            props.AuthorizationType = id.authorizationType;
+            props.AuthorizerId = _fn.ref(id);
             return this;
         }
-        this.properties.AuthorizationType = 'CUSTOM';
-        this.properties.AuthorizerId = { Ref: id };
+        props.AuthorizationType = 'CUSTOM';
+        props.AuthorizerId = { Ref: id };
 
         return this;
     }
 
     /**
-     * Assigns a back end lambda function to the template.
+     * Sets a cognito user pool authorizer for the template, optionally
+     * restricting access to tokens that include specific OAuth scopes.
+     *
+     * @param {String|Object} id The id of the authorizer, or a reference to
+     *        the authorizer template.
+     * @param {Array} [scopes] An optional list of authorization scopes. If
+     *        specified, the method will accept only access tokens that
+     *        include at least one of the scopes.
      *
-     * @param {String} lambdaFunction The name of the lambda function. A full
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setCognitoAuthorizer(id, scopes) {
+        if(!id) {
+            throw new Error('Invalid authorizer specified (arg #1)');
+        }
+        if(id instanceof AuthorizerTemplate && id.authorizationType !== 'COGNITO_USER_POOLS') {
+            throw new Error(`Authorizer [${id.key}] is not a cognito user pool authorizer`);
+        }
+        this.setAuthorizer(id);
+        this.properties.AuthorizationType = 'COGNITO_USER_POOLS';
+        if(typeof scopes !== 'undefined') {
+            this.setAuthorizationScopes(scopes);
+        }
+
+        return this;
+    }
+
+    /**
+     * Restricts access to the method to tokens that include at least one of
+     * the specified OAuth scopes. Applies only to methods that use cognito
+     * user pool authorizers.
+     *
+     * @param {Array} scopes The list of authorization scopes.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setAuthorizationScopes(scopes) {
+        if(typeof scopes === 'string') {
+            scopes = [ scopes ];
+        }
+        if(!(scopes instanceof Array) || scopes.length <= 0 ||
+           scopes.some((scope) => typeof scope !== 'string' || scope.length <= 0)) {
+            throw new Error('Invalid scopes specified (arg #1)');
+        }
+        if(this.properties.AuthorizationType !== 'COGNITO_USER_POOLS') {
+            throw new Error('Authorization scopes can only be assigned to methods that use cognito user pool authorizers');
+        }
+        this.properties.AuthorizationScopes = scopes.slice();
+
+        return this;
+    }
+
+    /**
+     * Requires callers to include a valid api key (in the 'x-api-key'
+     * header) when invoking the method. The api key must be associated with
+     * a usage plan that includes the stage of the method.
+     *
+     * @param {Boolean} [required=true] Determines whether or not an api key
+     *        is required.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    requireApiKey(required) {
+        this.properties.ApiKeyRequired = (typeof required === 'undefined') || !!required;
+
+        return this;
+    }
+
+    /**
+     * Enables IAM authorization for the method. Callers must sign requests
+     * using AWS credentials (signature version 4) that allow the
+     * 'execute-api:Invoke' action on the method.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setIamAuthorization() {
+        this.setAuthorizer(null);
+        this.properties.AuthorizationType = 'AWS_IAM';
+
+        return this;
+    }
+
+    /**
+     * Assigns a back end lambda function to the template. A permission that
+     * allows api gateway to invoke the function will be generated when the
+     * stack is assembled.
+     *
+     * @param {String|Object} lambdaFunction The name of the lambda function,
+     *        or a reference to a lambda function or alias template. A full
      *        URI will be generated using this value.
      * @param {String} [role = '<% lambda_invoke_role %>'] An optional IAM role
      *        name that will be used by the API gateway to call the lambda.
@@ -158,13 +738,438 @@ class MethodTemplate extends Template {
      *         chain multiple calls.
      */
     setBackendLambda(lambdaFunction, role) {
-        if(typeof lambdaFunction !== 'string' || lambdaFunction.length <= 0) {
+        if(!(lambdaFunction instanceof Template) &&
+           (typeof lambdaFunction !== 'string' || lambdaFunction.length <= 0)) {
             throw new Error('Invalid lambda function specified (arg #2)');
         }
         role = role || '<% lambda_invoke_role %>';
+        this._resetIntegration();
         const integration = this._ensureProperty('Integration');
+        integration.Type = 'AWS';
+        integration.IntegrationHttpMethod = 'POST';
         integration.Uri = _lambdaUtils.getLambdaUri(lambdaFunction);
         integration.Credentials = _iamUtils.getRoleUri(role);
+        this._mapRequestParameters = false;
+        this._setLambdaFunction(lambdaFunction);
+
+        return this;
+    }
+
+    /**
+     * Assigns a back end lambda function to the template using a lambda
+     * proxy (AWS_PROXY) integration. The entire request is passed to the
+     * lambda function, and the response from the function is returned as is,
+     * meaning that the function is responsible for the status code, headers
+     * and body of the response.
+     *
+     * Request templates and integration responses are not supported in this
+     * mode, and methods that configure them will throw errors. A single
+     * method response for the '200' status code is declared, and additional
+     * method responses may be declared using `setMethodResponse()`.
+     *
+     * A permission that allows api gateway to invoke the function will be
+     * generated when the stack is assembled.
+     *
+     * @param {String|Object} lambdaFunction The name of the lambda function,
+     *        or a reference to a lambda function or alias template. A full
+     *        URI will be generated using this value.
+     * @param {String} [role = '<% lambda_invoke_role %>'] An optional IAM role
+     *        name that will be used by the API gateway to call the lambda.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setLambdaProxyBackend(lambdaFunction, role) {
+        if(!(lambdaFunction instanceof Template) &&
+           (typeof lambdaFunction !== 'string' || lambdaFunction.length <= 0)) {
+            throw new Error('Invalid lambda function specified (arg #1)');
+        }
+        role = role || '<% lambda_invoke_role %>';
+        this._resetIntegration();
+        const integration = this._ensureProperty('Integration');
+        integration.Type = 'AWS_PROXY';
+        integration.IntegrationHttpMethod = 'POST';
+        this._mapRequestParameters = false;
+        this._setLambdaFunction(lambdaFunction);
+        integration.Uri = _lambdaUtils.getLambdaUri(lambdaFunction);
+        integration.Credentials = _iamUtils.getRoleUri(role);
+        integration.PassthroughBehavior = undefined;
+        integration.RequestTemplates = undefined;
+        integration.IntegrationResponses = undefined;
+
+        this.properties.MethodResponses = [ {
+            StatusCode: '200'
+        } ];
+
+        return this;
+    }
+
+    /**
+     * Assigns a back end http endpoint to the template. Request and response
+     * mappings may be defined for the integration, and request bodies are
+     * passed through to the endpoint when no request template matches the
+     * content type of the request.
+     *
+     * Path, query string and header parameters declared on the method are
+     * automatically mapped to integration parameters with the same names.
+     * Placeholders in the url (for example, 'http://example.com/users/{id}')
+     * are declared as mandatory path parameters.
+     *
+     * @param {String|Object} url The url of the http endpoint.
+     * @param {String} [verb='ANY'] The http verb used to invoke the
+     *        endpoint. If omitted, the verb of the incoming request is used.
+     * @param {Object} [options={}] Optional integration settings.
+     * @param {Number} [options.timeout] A custom timeout for the
+     *        integration, in milliseconds (50 - 29000).
+     * @param {Boolean} [options.insecureSkipVerification=false] Determines
+     *        whether or not the endpoint's TLS certificate is verified.
+     * @param {Boolean} [options.mapParameters=true] Determines whether or
+     *        not method request parameters are automatically mapped to
+     *        integration request parameters.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setHttpBackend(url, verb, options) {
+        this._resetIntegration();
+        this._setHttpIntegration('HTTP', url, verb, options);
+        this.properties.Integration.PassthroughBehavior = 'WHEN_NO_TEMPLATES';
+
+        return this;
+    }
+
+    /**
+     * Assigns a back end http endpoint to the template using an http proxy
+     * (HTTP_PROXY) integration. The entire request is passed to the endpoint,
+     * and the response from the endpoint is returned as is.
+     *
+     * For greedy resources (a path of '{proxy+}'), the remainder of the path
+     * can be forwarded by including a '{proxy}' placeholder in the url, for
+     * example 'http://example.com/{proxy}'.
+     *
+     * Request templates and integration responses are not supported in this
+     * mode, and methods that configure them will throw errors.
+     *
+     * @param {String|Object} url The url of the http endpoint.
+     * @param {Object} [options={}] Optional integration settings. See
+     *        `setHttpBackend()` for a list of supported options.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setHttpProxyBackend(url, options) {
+        this._resetIntegration();
+        this._setHttpIntegration('HTTP_PROXY', url, 'ANY', options);
+        const integration = this.properties.Integration;
+        integration.PassthroughBehavior = undefined;
+        integration.RequestTemplates = undefined;
+        integration.IntegrationResponses = undefined;
+
+        this.properties.MethodResponses = [ {
+            StatusCode: '200'
+        } ];
+
+        return this;
+    }
+
+    /**
+     * Assigns a back end AWS service action to the template (for example,
+     * the 'PutItem' action of the 'dynamodb' service). Request templates
+     * must be defined to map the request to the input of the action, unless
+     * one of the service specific methods (for example,
+     * `setDynamoDbBackend()`) is used.
+     *
+     * @param {String} service The name of the AWS service (for example,
+     *        'dynamodb', 'sqs' or 'states').
+     * @param {String} action The name of the service action.
+     * @param {String} [role = '<% service_invoke_role %>'] An optional IAM
+     *        role name that will be used by the API gateway to call the
+     *        service.
+     * @param {String|Object|Array} [resources] The ARN(s) of the resources
+     *        accessed by the action. Required only if the permissions of the
+     *        role are derived from the methods that use it (see
+     *        `ApiInvocationRoleTemplate`).
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setServiceBackend(service, action, role, resources) {
+        if(typeof service !== 'string' || service.length <= 0) {
+            throw new Error('Invalid service specified (arg #1)');
+        }
+        if(typeof action !== 'string' || action.length <= 0) {
+            throw new Error('Invalid action specified (arg #2)');
+        }
+        if(typeof resources !== 'undefined' && !(resources instanceof Array)) {
+            resources = [ resources ];
+        }
+        if(resources && (resources.length <= 0 || !resources.every((resource) => {
+            return (typeof resource === 'string' && resource.length > 0) || this._isObject(resource);
+        }))) {
+            throw new Error('Invalid resources specified (arg #4)');
+        }
+        this._setServiceIntegration(_serviceUtils.getActionUri(service, action), 'POST', role,
+                                    [ `${service}:${action}` ], resources);
+
+        return this;
+    }
+
+    /**
+     * Assigns a DynamoDB action as the back end for the template, along with
+     * a default request template for the action:
+     *
+     *  - PutItem: The request body is used as the item, and must be
+     *    expressed in DynamoDB JSON format.
+     *  - GetItem: The key attributes are read from request parameters with
+     *    the same names.
+     *  - Query: Items are queried using the first key attribute, which is
+     *    read from a request parameter with the same name.
+     *
+     * @param {String} action The DynamoDB action. Must be one of 'PutItem',
+     *        'GetItem' or 'Query'.
+     * @param {String} tableName The name of the DynamoDB table.
+     * @param {String} [role = '<% service_invoke_role %>'] An optional IAM
+     *        role name that will be used by the API gateway to call the
+     *        service.
+     * @param {Object} [options={}] Optional settings for the action.
+     * @param {Object} [options.keys] A map of key attribute names to
+     *        attribute types ('S', 'N' or 'B'). Required for 'GetItem' and
+     *        'Query'.
+     * @param {String} [options.indexName] The name of an index to query.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setDynamoDbBackend(action, tableName, role, options) {
+        if(DYNAMODB_ACTIONS.indexOf(action) < 0) {
+            throw new Error(`Invalid action specified (arg #1). Must be one of: [${DYNAMODB_ACTIONS}]`);
+        }
+        if(typeof tableName !== 'string' || tableName.length <= 0) {
+            throw new Error('Invalid table name specified (arg #2)');
+        }
+        if(!this._isObject(options)) {
+            options = {};
+        }
+        const keys = options.keys;
+        if(action !== 'PutItem' && (!this._isObject(keys) || Object.keys(keys).length <= 0)) {
+            throw new Error(`Invalid options specified (arg #4). Key attributes are required for action: [${action}]`);
+        }
+
+        let template = null;
+        if(action === 'PutItem') {
+            template = `{ "TableName": "${tableName}", "Item": ${_mappingTemplateHelper.mapBody()} }`;
+        } else if(action === 'GetItem') {
+            template = `{ "TableName": "${tableName}", "Key": ${_mappingTemplateHelper.mapDynamoDbKey(keys)} }`;
+        } else {
+            const name = Object.keys(keys)[0];
+            const value = {};
+            value[name] = keys[name];
+            const index = (typeof options.indexName === 'string')?
+                            ` "IndexName": "${options.indexName}",`: '';
+            template = `{ "TableName": "${tableName}",${index} "KeyConditionExpression": "#key = :${name}", ` +
+                       `"ExpressionAttributeNames": { "#key": "${name}" }, ` +
+                       `"ExpressionAttributeValues": ${_mappingTemplateHelper.mapDynamoDbKey(value, ':')} }`;
+        }
+
+        const resources = [ _serviceUtils.getResourceArn('dynamodb', `table/${tableName}`) ];
+        if(action === 'Query' && typeof options.indexName === 'string') {
+            resources.push(_serviceUtils.getResourceArn('dynamodb',
+                                `table/${tableName}/index/${options.indexName}`));
+        }
+        this._setServiceIntegration(_serviceUtils.getActionUri('dynamodb', action), 'POST', role,
+                                    [ `dynamodb:${action}` ], resources);
+        this.setRequestTemplate(template);
+
+        return this;
+    }
+
+    /**
+     * Assigns an SQS queue as the back end for the template. The request
+     * body is sent to the queue as the message body.
+     *
+     * @param {String} queueName The name of the queue. The queue must belong
+     *        to the account in which the stack is deployed.
+     * @param {String} [role = '<% service_invoke_role %>'] An optional IAM
+     *        role name that will be used by the API gateway to call the
+     *        service.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setSqsBackend(queueName, role) {
+        if(typeof queueName !== 'string' || queueName.length <= 0) {
+            throw new Error('Invalid queue name specified (arg #1)');
+        }
+        const uri = _serviceUtils.getPathUri('sqs', [ _fn.pseudo.accountId, `/${queueName}` ]);
+        this._setServiceIntegration(uri, 'POST', role, [ 'sqs:SendMessage' ],
+                                    [ _serviceUtils.getResourceArn('sqs', queueName) ]);
+        this.setIntegrationParameter('header', 'Content-Type', FORM_CONTENT_TYPE);
+        this.setRequestTemplate(_mappingTemplateHelper.mapFormBody({
+            Action: "'SendMessage'",
+            MessageBody: '$input.body'
+        }));
+
+        return this;
+    }
+
+    /**
+     * Assigns an SNS topic as the back end for the template. The request
+     * body is published to the topic as the message.
+     *
+     * @param {String|Object} topicArn The ARN of the topic (can be a '<% %>'
+     *        token or an intrinsic function), or a reference to the topic
+     *        template.
+     * @param {String} [role = '<% service_invoke_role %>'] An optional IAM
+     *        role name that will be used by the API gateway to call the
+     *        service.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setSnsBackend(topicArn, role) {
+        if(topicArn instanceof Template) {
+            topicArn = _fn.ref(topicArn);
+        }
+        if((typeof topicArn !== 'string' || topicArn.length <= 0) && !this._isObject(topicArn)) {
+            throw new Error('Invalid topic arn specified (arg #1)');
+        }
+        this._setServiceIntegration(_serviceUtils.getPathUri('sns', '/'), 'POST', role,
+                                    [ 'sns:Publish' ], [ topicArn ]);
+        this.setIntegrationParameter('header', 'Content-Type', FORM_CONTENT_TYPE);
+        this._setArnRequestTemplate(_mappingTemplateHelper.mapFormBody({
+            Action: "'Publish'",
+            TopicArn: `'${ARN_VARIABLE}'`,
+            Message: '$input.body'
+        }), topicArn);
+
+        return this;
+    }
+
+    /**
+     * Assigns an S3 bucket as the back end for the template, allowing
+     * objects to be read from or written to the bucket. The object key is
+     * read from a mandatory request path parameter, and request bodies are
+     * passed through to S3 as is.
+     *
+     * @param {String} operation The operation to perform. Must be one of
+     *        'get' or 'put'.
+     * @param {String} bucket The name of the bucket (can be a '<% %>' token).
+     * @param {String} [role = '<% service_invoke_role %>'] An optional IAM
+     *        role name that will be used by the API gateway to call the
+     *        service.
+     * @param {String} [keyParam='key'] The name of the path parameter that
+     *        identifies the object key.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setS3Backend(operation, bucket, role, keyParam) {
+        if(S3_OPERATIONS.indexOf(operation) < 0) {
+            throw new Error(`Invalid operation specified (arg #1). Must be one of: [${S3_OPERATIONS}]`);
+        }
+        if(typeof bucket !== 'string' || bucket.length <= 0) {
+            throw new Error('Invalid bucket specified (arg #2)');
+        }
+        if(typeof keyParam !== 'string' || keyParam.length <= 0) {
+            keyParam = 'key';
+        }
+        const uri = _serviceUtils.getPathUri('s3', `${bucket}/{${keyParam}}`);
+        this._setServiceIntegration(uri, operation.toUpperCase(), role,
+                                    [ (operation === 'get')? 's3:GetObject': 's3:PutObject' ],
+                                    [ `arn:aws:s3:::${bucket}/*` ]);
+        this.properties.Integration.PassthroughBehavior = 'WHEN_NO_TEMPLATES';
+        this.setRequestPath(keyParam, true);
+        this.setIntegrationParameter('path', keyParam, `method.request.path.${keyParam}`);
+
+        return this;
+    }
+
+    /**
+     * Assigns a Step Functions state machine as the back end for the
+     * template. A new execution of the state machine is started for every
+     * request, using the request body as the input of the execution.
+     *
+     * @param {String|Object} stateMachineArn The ARN of the state machine
+     *        (can be a '<% %>' token or an intrinsic function), or a
+     *        reference to the state machine template.
+     * @param {String} [role = '<% service_invoke_role %>'] An optional IAM
+     *        role name that will be used by the API gateway to call the
+     *        service.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setStepFunctionsBackend(stateMachineArn, role) {
+        if(stateMachineArn instanceof Template) {
+            stateMachineArn = _fn.ref(stateMachineArn);
+        }
+        if((typeof stateMachineArn !== 'string' || stateMachineArn.length <= 0) &&
+           !this._isObject(stateMachineArn)) {
+            throw new Error('Invalid state machine arn specified (arg #1)');
+        }
+        this._setServiceIntegration(_serviceUtils.getActionUri('states', 'StartExecution'), 'POST', role,
+                                    [ 'states:StartExecution' ], [ stateMachineArn ]);
+        this._setArnRequestTemplate(`{ "stateMachineArn": "${ARN_VARIABLE}", ` +
+                                    `"input": "${_mappingTemplateHelper.mapBody('$', true)}" }`,
+                                    stateMachineArn);
+
+        return this;
+    }
+
+    /**
+     * Maps a value to an integration request parameter. The value may
+     * reference a method request parameter (for example,
+     * 'method.request.header.Authorization'), or may be a static value
+     * enclosed in single quotes.
+     *
+     * @param {String} paramType The type of the parameter. Must be one of
+     *        'path', 'querystring' or 'header'.
+     * @param {String} name The name of the integration parameter.
+     * @param {String} value The value to map to the parameter.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setIntegrationParameter(paramType, name, value) {
+        if(HTTP_PARAMETER_TYPES.indexOf(paramType) < 0) {
+            throw new Error(`Invalid paramType specified (arg #1). Must be one of: [${HTTP_PARAMETER_TYPES}]`);
+        }
+        if(typeof name !== 'string' || name.length <= 0) {
+            throw new Error('Invalid name specified (arg #2)');
+        }
+        if(typeof value !== 'string' || value.length <= 0) {
+            throw new Error('Invalid value specified (arg #3)');
+        }
+        const params = this._ensureProperty('Integration.RequestParameters', {});
+        params[`integration.request.${paramType}.${name}`] = value;
+
+        return this;
+    }
+
+    /**
+     * Declares a method response for a specific status code, without an
+     * associated integration response. This is typically used with lambda
+     * proxy integrations, where the lambda function determines the status
+     * code of the response.
+     *
+     * @param {String} statusCode The status code of the response.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setMethodResponse(statusCode) {
+        if(typeof statusCode !== 'string' || statusCode.length <= 0) {
+            throw new Error('Invalid statusCode specified (arg #1)');
+        }
+        const methodResponses = this._ensureProperty('MethodResponses', []);
+        const response = methodResponses.find((item) => {
+            return item.StatusCode === statusCode;
+        });
+        if(!response) {
+            methodResponses.push({
+                StatusCode: statusCode
+            });
+        }
 
         return this;
     }
@@ -178,10 +1183,14 @@ class MethodTemplate extends Template {
      *         chain multiple calls.
      */
     setMockBackend() {
+        this._resetIntegration();
         const integration = this._ensureProperty('Integration');
         integration.Type = 'MOCK';
         integration.Uri = undefined;
         integration.Credentials = undefined;
+        this._mapRequestParameters = false;
+        this._lambdaFunction = undefined;
+        this._servicePermission = undefined;
 
         return this;
     }
@@ -257,6 +1266,7 @@ class MethodTemplate extends Template {
      *         chain multiple calls.
      */
     setRequestTemplate(template, contentType) {
+        this._ensureMappingSupported('setRequestTemplate');
         if(typeof template !== 'string' || template.length <= 0) {
             throw new Error('Invalid template specified (arg #1)');
         }
@@ -310,6 +1320,7 @@ class MethodTemplate extends Template {
      *         chain multiple calls.
      */
     setDefaultIntegrationResponses() {
+        this._ensureMappingSupported('setDefaultIntegrationResponses');
         const integrationResponses = [];
         const methodResponses = [];
 
@@ -366,6 +1377,7 @@ class MethodTemplate extends Template {
      *         chain multiple calls.
      */
     setIntegrationResponse(statusCode, selectionPattern) {
+        this._ensureMappingSupported('setIntegrationResponse');
         if(typeof statusCode !== 'string' || statusCode.length <= 0) {
             throw new Error('Invalid statusCode specified (arg #1)');
         }
@@ -407,6 +1419,7 @@ class MethodTemplate extends Template {
      *         chain multiple calls.
      */
     setResponseHeader(headerName, headerValue, statusCode) {
+        this._ensureMappingSupported('setResponseHeader');
         if(typeof headerName !== 'string' || headerName.length <= 0) {
             throw new Error('Invalid headerName specified (arg #1)');
         }
@@ -454,6 +1467,7 @@ class MethodTemplate extends Template {
      *         chain multiple calls.
      */
     setResponseTemplate(template, contentType, statusCode) {
+        this._ensureMappingSupported('setResponseTemplate');
         if(typeof template !== 'string' || template.length <= 0) {
             throw new Error('Invalid template specified (arg #1)');
         }
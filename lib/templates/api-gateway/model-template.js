@@ -3,14 +3,20 @@
 const _clone = require('clone');
 const Template = require('../template');
 const _resourceUtils = require('../../utils/resource-utils');
+const _schemaUtils = require('../../utils/schema-utils');
 
-const DEFAULT_SCHEMA_VERSION = 'http://json-schema.org/draft-04/schema#';
+const DEFAULT_SCHEMA_VERSION = _schemaUtils.DRAFT_04_SCHEMA;
 
 /**
  * Specialized method template class for an API Gateway Model object. The model
  * content type is set to 'application/json' by default, and can be overridden
  * by using the `setContentType()` method.
  *
+ * Schemas are validated against the draft-04 meta schema when the model is
+ * finalized. Other models of the same api can be referenced using local
+ * references of the form `{ $ref: '#/models/<name>' }`, which are rewritten
+ * into api gateway model URLs.
+ *
  * @extends {Template}
  */
 class ModelTemplate extends Template {
@@ -26,10 +32,12 @@ class ModelTemplate extends Template {
         super(key, 'AWS::ApiGateway::Model', {
             RestApiId: null,
             Name: name,
-            Description: null,
+            Description: undefined,
             ContentType: 'application/json',
             Schema: null
         });
+
+        this._referencedModels = [];
     }
 
     /**
@@ -46,12 +54,14 @@ class ModelTemplate extends Template {
      * 
      * @param {Object} dirInfo An object that contains hierarchical information
      *        for the template.
+     * @param {String} [exportPrefix] An optional export prefix that indicates
+     *        that the rest api is declared in another stack.
      *
      * @return {Object} A reference to the template. Can be used to
      *         chain multiple calls.
      */
-    setRestApiId(dirInfo) {
-        this.properties.RestApiId = _resourceUtils.getRestApi(dirInfo);
+    setRestApiId(dirInfo, exportPrefix) {
+        this.properties.RestApiId = _resourceUtils.getRestApi(dirInfo, exportPrefix);
         
         return this;
     }
@@ -96,7 +106,8 @@ class ModelTemplate extends Template {
     /**
      * Assigns a schema to the model template.
      * 
-     * @param {Object} schema An object that defines the model schema.
+     * @param {Object} schema An object that defines the model schema. Other
+     *        models can be referenced using `{ $ref: '#/models/<name>' }`.
      *
      * @return {Object} A reference to the template. Can be used to
      *         chain multiple calls.
@@ -106,11 +117,56 @@ class ModelTemplate extends Template {
             throw new Error('Invalid schema specified (arg #1)');
         }
 
+        schema = _clone(schema);
         schema.$schema = schema.$schema || DEFAULT_SCHEMA_VERSION;
         this.properties.Schema = schema;
         
         return this;
     }
+
+    /**
+     * Identifies the models in the build that are referenced by the schema
+     * of this model.
+     *
+     * @param {Array} templates The list of all templates in the build.
+     * @param {Object} tokenMap The map of tokens to replacement values.
+     */
+    prepare(templates, tokenMap) {
+        const schema = this._finalizeProperty(this.properties.Schema, tokenMap);
+        this._referencedModels = _resourceUtils.getModels(templates,
+                                    this._finalizeProperty(this.properties.RestApiId, tokenMap),
+                                    _schemaUtils.getModelReferences(schema), tokenMap);
+    }
+
+    /**
+     * Generates the model markup. The schema is validated, references to
+     * other models are rewritten into model URLs, and dependencies on the
+     * referenced models are added, so that they are created first.
+     *
+     * @param {Object} dataBag A hash containing data that can be injected
+     *        into placeholders within the tokens.
+     * @param {Array} [issues] An optional array to which unresolved tokens
+     *        and unassigned (null) values will be reported.
+     *
+     * @return {Object} An object that represents the template markup
+     */
+    finalize(data, issues) {
+        const result = super.finalize(data, issues);
+        const props = result.Properties;
+        if(props.Schema !== null) {
+            const errors = _schemaUtils.validate(props.Schema);
+            if(errors.length > 0) {
+                const report = errors.map((error) => {
+                    return `  ${error.path}: ${error.message}`;
+                }).join('\n');
+                throw new Error(`Invalid schema specified for model [${this.key}]:\n${report}`);
+            }
+            props.Schema = _schemaUtils.rewriteModelReferences(props.Schema, props.RestApiId);
+        }
+        this._addDependencies(result, this._referencedModels);
+
+        return result;
+    }
 }
 
 module.exports = ModelTemplate;
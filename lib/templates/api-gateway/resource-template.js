@@ -3,7 +3,10 @@
 const _clone = require('clone');
 
 const Template = require('../template');
+const MethodTemplate = require('./method-template');
 const _resourceUtils = require('../../utils/resource-utils');
+const _corsUtils = require('../../utils/cors-utils');
+const _fn = require('../../utils/fn');
 
 /**
  * Specialized method template class for an API Gateway resource.
@@ -25,6 +28,18 @@ class ResourceTemplate extends Template {
             RestApiId: null,
             ParentId: null
         });
+
+        this._cors = undefined;
+    }
+
+    /**
+     * Returns the CORS configuration for the resource, if CORS has been
+     * enabled.
+     *
+     * @return {Object} The CORS configuration.
+     */
+    get cors() {
+        return this._cors;
     }
     
     /**
@@ -33,16 +48,54 @@ class ResourceTemplate extends Template {
      * 
      * @param {Object} dirInfo An object that contains hierarchical information
      *        for the template.
+     * @param {String} [exportPrefix] An optional export prefix that indicates
+     *        that the rest api is declared in another stack.
      *
      * @return {Object} A reference to the template. Can be used to
      *         chain multiple calls.
      */
-    setParent(dirInfo) {
-        this.properties.RestApiId = _resourceUtils.getRestApi(dirInfo);
-        this.properties.ParentId = _resourceUtils.getParentResource(dirInfo);
+    setParent(dirInfo, exportPrefix) {
+        this.properties.RestApiId = _resourceUtils.getRestApi(dirInfo, exportPrefix);
+        this.properties.ParentId = _resourceUtils.getParentResource(dirInfo, exportPrefix);
         
         return this;
     }
+
+    /**
+     * Enables cross origin resource sharing (CORS) for the resource. A
+     * preflight (OPTIONS) method will be generated for the resource, and CORS
+     * headers will be added to the responses of every method of the
+     * resource. This overrides any CORS configuration on the rest api.
+     *
+     * @param {Object} [options={}] CORS options. See `corsUtils.normalize()`
+     *        for a list of supported options.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    enableCors(options) {
+        this._cors = _corsUtils.normalize(options);
+
+        return this;
+    }
+
+    /**
+     * Generates a preflight method for the resource, if CORS is enabled for
+     * the resource or for the rest api.
+     *
+     * @param {Array} templates The list of all templates in the build.
+     * @param {Object} tokenMap The map of tokens to replacement values.
+     *
+     * @return {Array} A list of generated templates.
+     */
+    generateTemplates(templates, tokenMap) {
+        const resourceId = _fn.ref(this);
+        const cors = this._cors || _corsUtils.getConfig(templates,
+                            this._finalizeProperty(this.properties.RestApiId, tokenMap));
+
+        return MethodTemplate.generatePreflight(`${this.key}_OPTIONS`, this.properties.RestApiId,
+                                                resourceId, cors, templates, tokenMap);
+    }
 }
 
 module.exports = ResourceTemplate;
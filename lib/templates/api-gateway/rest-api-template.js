@@ -2,6 +2,11 @@
 
 const _clone = require('clone');
 const Template = require('../template');
+const OutputTemplate = require('../output-template');
+const MethodTemplate = require('./method-template');
+const _corsUtils = require('../../utils/cors-utils');
+const _stackUtils = require('../../utils/stack-utils');
+const _fn = require('../../utils/fn');
 
 /**
  * Specialized method template class for an API Gateway REST API object.
@@ -20,8 +25,20 @@ class RestApiTemplate extends Template {
 
         super(key, 'AWS::ApiGateway::RestApi', {
             Name: name,
-            Description: null
+            Description: undefined
         });
+
+        this._cors = undefined;
+    }
+
+    /**
+     * Returns the CORS configuration for the rest api, if CORS has been
+     * enabled.
+     *
+     * @return {Object} The CORS configuration.
+     */
+    get cors() {
+        return this._cors;
     }
     
     /**
@@ -42,6 +59,67 @@ class RestApiTemplate extends Template {
         
         return this;
     }
+
+    /**
+     * Enables cross origin resource sharing (CORS) for every resource of the
+     * rest api (including the root resource), unless overridden at the
+     * resource level. Preflight (OPTIONS) methods will be generated for every
+     * resource, and CORS headers will be added to the responses of every
+     * method.
+     *
+     * @param {Object} [options={}] CORS options. See `corsUtils.normalize()`
+     *        for a list of supported options.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    enableCors(options) {
+        this._cors = _corsUtils.normalize(options);
+
+        return this;
+    }
+
+    /**
+     * Generates a preflight method for the root resource of the rest api, if
+     * CORS is enabled.
+     *
+     * @param {Array} templates The list of all templates in the build.
+     * @param {Object} tokenMap The map of tokens to replacement values.
+     *
+     * @return {Array} A list of generated templates.
+     */
+    generateTemplates(templates, tokenMap) {
+        return MethodTemplate.generatePreflight(`${this.key}_OPTIONS`, _fn.ref(this),
+                                                _fn.getAtt(this, 'RootResourceId'),
+                                                this._cors, templates, tokenMap);
+    }
+
+    /**
+     * Creates output templates that export the id and the root resource id
+     * of the rest api, allowing resources and methods to be declared in
+     * other stacks.
+     *
+     * @param {String} exportPrefix The prefix for the export names. Stacks
+     *        that import the rest api must use the same prefix.
+     *
+     * @return {Array} An array of output templates.
+     */
+    createOutputs(exportPrefix) {
+        if(typeof exportPrefix !== 'string' || exportPrefix.length <= 0) {
+            throw new Error('Invalid export prefix specified (arg #1)');
+        }
+        const restApiId = _stackUtils.REST_API_ID_EXPORT;
+        const rootResourceId = _stackUtils.ROOT_RESOURCE_ID_EXPORT;
+
+        return [
+            new OutputTemplate(`${this.key}_${restApiId}`, _fn.ref(this))
+                .setExportName(_stackUtils.getExportName(exportPrefix, restApiId)),
+
+            new OutputTemplate(`${this.key}_${rootResourceId}`,
+                               _fn.getAtt(this, 'RootResourceId'))
+                .setExportName(_stackUtils.getExportName(exportPrefix, rootResourceId))
+        ];
+    }
 }
 
 module.exports = RestApiTemplate;
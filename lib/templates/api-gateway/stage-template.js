@@ -0,0 +1,260 @@
+'use strict';
+
+const Template = require('../template');
+const DeploymentTemplate = require('./deployment-template');
+const _resourceUtils = require('../../utils/resource-utils');
+const _fn = require('../../utils/fn');
+
+const VARIABLE_NAME_PATTERN = /^[A-Za-z0-9_]+$/;
+const VARIABLE_REFERENCE_PATTERN = /\$\{?stageVariables\.([A-Za-z0-9_]+)/g;
+
+/**
+ * Specialized template class for an API Gateway stage. The stage declares
+ * the stage variables used by the methods of the rest api, and
+ * automatically depends on every method of the rest api that is included
+ * in the build.
+ *
+ * Every stage variable referenced by a method (for example, the
+ * `${stageVariables.stack}` suffix used by lambda integrations) must be
+ * defined on the stage. An error is thrown during assembly if any are
+ * missing.
+ *
+ * @extends {Template}
+ */
+class StageTemplate extends Template {
+    /**
+     * @param {String} key A key that uniquely identifies the template
+     * @param {String} stageName The name of the stage
+     */
+    constructor(key, stageName) {
+        if(typeof stageName !== 'string' || stageName.length <= 0) {
+            throw new Error('Invalid stage name specified (arg #2)');
+        }
+
+        super(key, 'AWS::ApiGateway::Stage', {
+            RestApiId: null,
+            StageName: stageName,
+            DeploymentId: null,
+            Description: undefined,
+            Variables: undefined,
+            MethodSettings: undefined
+        });
+
+        this._methodKeys = [];
+    }
+
+    /**
+     * Returns a map of the stage variables defined on the stage.
+     *
+     * @return {Object} The stage variable map.
+     */
+    get variables() {
+        return this.properties.Variables || {};
+    }
+
+    /**
+     * Assigns a reference to the REST API to the stage.
+     *
+     * @param {Object} dirInfo An object that contains hierarchical information
+     *        for the template.
+     * @param {String} [exportPrefix] An optional export prefix that indicates
+     *        that the rest api is declared in another stack.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setRestApiId(dirInfo, exportPrefix) {
+        this.properties.RestApiId = _resourceUtils.getRestApi(dirInfo, exportPrefix);
+
+        return this;
+    }
+
+    /**
+     * Assigns the deployment to which the stage points.
+     *
+     * @param {String|Object} deployment The logical id of the deployment (can
+     *        be a '<% %>' token), or a reference to the deployment template.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setDeployment(deployment) {
+        if(deployment instanceof DeploymentTemplate) {
+            deployment = deployment.keyToken;
+        }
+        if(typeof deployment !== 'string' || deployment.length <= 0) {
+            throw new Error('Invalid deployment specified (arg #1)');
+        }
+        this.properties.DeploymentId = _fn.ref(deployment);
+
+        return this;
+    }
+
+    /**
+     * Assigns a description to the stage template.
+     *
+     * @param {String} [description = ''] An optional description for the
+     *        stage.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setDescription(description) {
+        if(typeof description !== 'string') {
+            description = '';
+        }
+
+        this.properties.Description = description;
+
+        return this;
+    }
+
+    /**
+     * Declares a stage variable.
+     *
+     * @param {String} name The name of the variable. Must contain only
+     *        alphanumeric characters and underscores.
+     * @param {String|Object} value The value of the variable.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setVariable(name, value) {
+        if(typeof name !== 'string' || !VARIABLE_NAME_PATTERN.test(name)) {
+            throw new Error('Invalid variable name specified (arg #1)');
+        }
+        if(typeof value === 'undefined' || value === null) {
+            throw new Error('Invalid variable value specified (arg #2)');
+        }
+        const variables = this._ensureProperty('Variables');
+        variables[name] = value;
+
+        return this;
+    }
+
+    /**
+     * Declares multiple stage variables.
+     *
+     * @param {Object} variables A map of variable names to values.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setVariables(variables) {
+        if(!this._isObject(variables)) {
+            throw new Error('Invalid variables specified (arg #1)');
+        }
+        for(let name in variables) {
+            this.setVariable(name, variables[name]);
+        }
+
+        return this;
+    }
+
+    /**
+     * Sets the request rate limits for the stage, or for a specific method of
+     * the stage. These limits apply to all callers, regardless of the usage
+     * plans to which they are subscribed.
+     *
+     * @param {Number} rateLimit The steady state request rate limit, in
+     *        requests per second.
+     * @param {Number} burstLimit The maximum number of concurrent requests.
+     * @param {String} [resourcePath='/*'] An optional resource path (for
+     *        example, '/users/{id}'). Applies to all resources if omitted.
+     * @param {String} [httpMethod='*'] An optional http method. Applies to
+     *        all methods if omitted.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setThrottle(rateLimit, burstLimit, resourcePath, httpMethod) {
+        if(typeof rateLimit !== 'number' || rateLimit < 0) {
+            throw new Error('Invalid rate limit specified (arg #1)');
+        }
+        if(typeof burstLimit !== 'number' || burstLimit % 1 !== 0 || burstLimit < 0) {
+            throw new Error('Invalid burst limit specified (arg #2)');
+        }
+        if(typeof resourcePath !== 'string' || resourcePath.length <= 0) {
+            resourcePath = '/*';
+        }
+        if(typeof httpMethod !== 'string' || httpMethod.length <= 0) {
+            httpMethod = '*';
+        }
+        httpMethod = httpMethod.toUpperCase();
+
+        const settings = this._ensureProperty('MethodSettings', []);
+        let setting = settings.find((item) => {
+            return item.ResourcePath === resourcePath && item.HttpMethod === httpMethod;
+        });
+        if(!setting) {
+            setting = {
+                ResourcePath: resourcePath,
+                HttpMethod: httpMethod
+            };
+            settings.push(setting);
+        }
+        setting.ThrottlingRateLimit = rateLimit;
+        setting.ThrottlingBurstLimit = burstLimit;
+
+        return this;
+    }
+
+    /**
+     * Identifies all methods of the rest api in the build, and verifies that
+     * every stage variable referenced by the methods is defined.
+     *
+     * @param {Array} templates The list of all templates in the build.
+     * @param {Object} tokenMap The map of tokens to replacement values.
+     */
+    prepare(templates, tokenMap) {
+        const restApiId = this._finalizeProperty(this.properties.RestApiId, tokenMap);
+        const methods = _resourceUtils.getMethods(templates, restApiId, tokenMap);
+        const variables = this.variables;
+
+        this._methodKeys = methods.map((method) => method.template.key);
+
+        const missing = [];
+        methods.forEach((method) => {
+            const markup = JSON.stringify(method.markup);
+            let match = null;
+            VARIABLE_REFERENCE_PATTERN.lastIndex = 0;
+            while((match = VARIABLE_REFERENCE_PATTERN.exec(markup)) !== null) {
+                const reference = `${match[1]} (${method.template.key})`;
+                if(!variables.hasOwnProperty(match[1]) && missing.indexOf(reference) < 0) {
+                    missing.push(reference);
+                }
+            }
+        });
+        if(missing.length > 0) {
+            throw new Error(`Stage [${this.key}] does not define stage variables referenced by methods: [${missing.join(', ')}]`);
+        }
+    }
+
+    /**
+     * Generates the stage markup, including dependencies on all methods of
+     * the rest api.
+     *
+     * @param {Object} dataBag A hash containing data that can be injected
+     *        into placeholders within the tokens.
+     * @param {Array} [issues] An optional array to which unresolved tokens
+     *        and unassigned (null) values will be reported.
+     *
+     * @return {Object} An object that represents the template markup
+     */
+    finalize(data, issues) {
+        const result = super.finalize(data, issues);
+        const dependencies = result.DependsOn || [];
+        this._methodKeys.forEach((key) => {
+            if(dependencies.indexOf(key) < 0) {
+                dependencies.push(key);
+            }
+        });
+        if(dependencies.length > 0) {
+            result.DependsOn = dependencies;
+        }
+
+        return result;
+    }
+}
+
+module.exports = StageTemplate;
@@ -0,0 +1,65 @@
+'use strict';
+
+const Template = require('../template');
+const ApiKeyTemplate = require('./api-key-template');
+const UsagePlanTemplate = require('./usage-plan-template');
+const _fn = require('../../utils/fn');
+
+/**
+ * Specialized template class for an API Gateway usage plan key, which
+ * associates an api key with a usage plan.
+ *
+ * @extends {Template}
+ */
+class UsagePlanKeyTemplate extends Template {
+    /**
+     * @param {String} key A key that uniquely identifies the template
+     */
+    constructor(key) {
+        super(key, 'AWS::ApiGateway::UsagePlanKey', {
+            KeyId: null,
+            KeyType: 'API_KEY',
+            UsagePlanId: null
+        });
+    }
+
+    /**
+     * Assigns the api key to associate with the usage plan.
+     *
+     * @param {String|Object} apiKey The logical id of the api key (can be a
+     *        '<% %>' token), or a reference to the api key template.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setApiKey(apiKey) {
+        if(!(apiKey instanceof ApiKeyTemplate) &&
+           (typeof apiKey !== 'string' || apiKey.length <= 0)) {
+            throw new Error('Invalid api key specified (arg #1)');
+        }
+        this.properties.KeyId = _fn.ref(apiKey);
+
+        return this;
+    }
+
+    /**
+     * Assigns the usage plan with which the api key will be associated.
+     *
+     * @param {String|Object} usagePlan The logical id of the usage plan (can
+     *        be a '<% %>' token), or a reference to the usage plan template.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setUsagePlan(usagePlan) {
+        if(!(usagePlan instanceof UsagePlanTemplate) &&
+           (typeof usagePlan !== 'string' || usagePlan.length <= 0)) {
+            throw new Error('Invalid usage plan specified (arg #1)');
+        }
+        this.properties.UsagePlanId = _fn.ref(usagePlan);
+
+        return this;
+    }
+}
+
+module.exports = UsagePlanKeyTemplate;
@@ -0,0 +1,332 @@
+'use strict';
+
+const _camelCase = require('camelcase');
+const Template = require('../template');
+const StageTemplate = require('./stage-template');
+const _resourceUtils = require('../../utils/resource-utils');
+const _fn = require('../../utils/fn');
+
+const QUOTA_PERIODS = [ 'DAY', 'WEEK', 'MONTH' ];
+const TOKEN_PATTERN = /<% [^<% >]+ %>/;
+
+/**
+ * Validates throttle limits, and returns a throttle settings object.
+ *
+ * @private
+ * @param {Number} rateLimit The steady state request rate limit.
+ * @param {Number} burstLimit The maximum request burst.
+ * @param {Number} argIndex The index of the rate limit argument, used for
+ *        error reporting.
+ *
+ * @return {Object} The throttle settings.
+ */
+function _getThrottle(rateLimit, burstLimit, argIndex) {
+    if(typeof rateLimit !== 'number' || rateLimit < 0) {
+        throw new Error(`Invalid rate limit specified (arg #${argIndex})`);
+    }
+    if(typeof burstLimit !== 'number' || burstLimit % 1 !== 0 || burstLimit < 0) {
+        throw new Error(`Invalid burst limit specified (arg #${argIndex + 1})`);
+    }
+    return {
+        RateLimit: rateLimit,
+        BurstLimit: burstLimit
+    };
+}
+
+/**
+ * Validates a stage reference, and returns the logical id of the stage.
+ * Logical ids are camel cased in the same way as template keys, unless they
+ * are '<% %>' tokens, which resolve to camel cased keys.
+ *
+ * @private
+ * @param {String|Object} stage The logical id of the stage, or a reference
+ *        to the stage template.
+ * @param {Number} argIndex The index of the stage argument, used for error
+ *        reporting.
+ *
+ * @return {String} The logical id of the stage.
+ */
+function _getStageKey(stage, argIndex) {
+    if(stage instanceof StageTemplate) {
+        return stage.key;
+    }
+    if(typeof stage !== 'string' || stage.length <= 0) {
+        throw new Error(`Invalid stage specified (arg #${argIndex})`);
+    }
+    return TOKEN_PATTERN.test(stage)? stage: _camelCase(stage);
+}
+
+/**
+ * Specialized template class for an API Gateway usage plan. A usage plan
+ * defines quota and throttle limits for callers that use the api keys
+ * associated with the plan, and applies to one or more stages of a rest api.
+ *
+ * Stages can be added explicitly (see `addStage()`), or the plan can attach
+ * itself to every stage of the rest api that is included in the build (see
+ * `attachStages()`).
+ *
+ * @extends {Template}
+ */
+class UsagePlanTemplate extends Template {
+    /**
+     * @param {String} key A key that uniquely identifies the template
+     * @param {String} name The name of the usage plan
+     */
+    constructor(key, name) {
+        if(typeof name !== 'string' || name.length <= 0) {
+            throw new Error('Invalid usage plan name specified (arg #2)');
+        }
+
+        super(key, 'AWS::ApiGateway::UsagePlan', {
+            UsagePlanName: name,
+            Description: undefined,
+            ApiStages: undefined,
+            Quota: undefined,
+            Throttle: undefined
+        });
+
+        this._restApiId = null;
+        this._attachStages = false;
+        this._stageKeys = [];
+        this._attachedStageKeys = [];
+        this._methodThrottles = [];
+    }
+
+    /**
+     * Assigns a reference to the REST API whose stages are governed by the
+     * usage plan.
+     *
+     * @param {Object} dirInfo An object that contains hierarchical information
+     *        for the template.
+     * @param {String} [exportPrefix] An optional export prefix that indicates
+     *        that the rest api is declared in another stack.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setRestApiId(dirInfo, exportPrefix) {
+        this._restApiId = _resourceUtils.getRestApi(dirInfo, exportPrefix);
+
+        return this;
+    }
+
+    /**
+     * Assigns a description to the usage plan template.
+     *
+     * @param {String} [description = ''] An optional description for the
+     *        usage plan.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setDescription(description) {
+        if(typeof description !== 'string') {
+            description = '';
+        }
+
+        this.properties.Description = description;
+
+        return this;
+    }
+
+    /**
+     * Sets the maximum number of requests that a caller can make in a given
+     * time period.
+     *
+     * @param {Number} limit The maximum number of requests.
+     * @param {String} period The time period. Must be one of 'DAY', 'WEEK' or
+     *        'MONTH'.
+     * @param {Number} [offset=0] The number of requests subtracted from the
+     *        limit in the first time period.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setQuota(limit, period, offset) {
+        if(typeof limit !== 'number' || limit % 1 !== 0 || limit <= 0) {
+            throw new Error('Invalid limit specified (arg #1)');
+        }
+        if(typeof period !== 'string' || QUOTA_PERIODS.indexOf(period.toUpperCase()) < 0) {
+            throw new Error(`Invalid period specified (arg #2). Must be one of: [${QUOTA_PERIODS}]`);
+        }
+        if(typeof offset === 'undefined') {
+            offset = 0;
+        }
+        if(typeof offset !== 'number' || offset % 1 !== 0 || offset < 0) {
+            throw new Error('Invalid offset specified (arg #3)');
+        }
+
+        this.properties.Quota = {
+            Limit: limit,
+            Period: period.toUpperCase(),
+            Offset: offset
+        };
+
+        return this;
+    }
+
+    /**
+     * Sets the request rate limits that apply to every method of every stage
+     * governed by the usage plan.
+     *
+     * @param {Number} rateLimit The steady state request rate limit, in
+     *        requests per second.
+     * @param {Number} burstLimit The maximum number of concurrent requests.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setThrottle(rateLimit, burstLimit) {
+        this.properties.Throttle = _getThrottle(rateLimit, burstLimit, 1);
+
+        return this;
+    }
+
+    /**
+     * Sets the request rate limits for a specific method, overriding the
+     * limits of the usage plan.
+     *
+     * @param {String} resourcePath The path of the resource (for example,
+     *        '/users/{id}').
+     * @param {String} httpMethod The http method.
+     * @param {Number} rateLimit The steady state request rate limit, in
+     *        requests per second.
+     * @param {Number} burstLimit The maximum number of concurrent requests.
+     * @param {String|Object} [stage] An optional stage to which the limits
+     *        apply, specified as a logical id or a stage template. If
+     *        omitted, the limits apply to every stage of the usage plan.
+     *        The stage must be part of the usage plan when the template is
+     *        finalized.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setMethodThrottle(resourcePath, httpMethod, rateLimit, burstLimit, stage) {
+        if(typeof resourcePath !== 'string' || resourcePath.indexOf('/') !== 0) {
+            throw new Error('Invalid resource path specified (arg #1)');
+        }
+        if(typeof httpMethod !== 'string' || httpMethod.length <= 0) {
+            throw new Error('Invalid http method specified (arg #2)');
+        }
+        const throttle = _getThrottle(rateLimit, burstLimit, 3);
+        if(typeof stage !== 'undefined') {
+            stage = _getStageKey(stage, 5);
+        }
+
+        this._methodThrottles.push({
+            stage: stage,
+            method: `${resourcePath}/${httpMethod.toUpperCase()}`,
+            throttle: throttle
+        });
+
+        return this;
+    }
+
+    /**
+     * Adds a stage of the rest api to the usage plan.
+     *
+     * @param {String|Object} stage The logical id of the stage (can be a
+     *        '<% %>' token), or a reference to the stage template.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    addStage(stage) {
+        stage = _getStageKey(stage, 1);
+        if(this._stageKeys.indexOf(stage) < 0) {
+            this._stageKeys.push(stage);
+        }
+
+        return this;
+    }
+
+    /**
+     * Attaches the usage plan to every stage of the rest api that is
+     * included in the build.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    attachStages() {
+        this._attachStages = true;
+
+        return this;
+    }
+
+    /**
+     * Identifies all stages of the rest api in the build, if the usage plan
+     * has been configured to attach to them automatically.
+     *
+     * @param {Array} templates The list of all templates in the build.
+     * @param {Object} tokenMap The map of tokens to replacement values.
+     */
+    prepare(templates, tokenMap) {
+        this._attachedStageKeys = [];
+        if(!this._attachStages) {
+            return;
+        }
+        const restApiId = JSON.stringify(this._finalizeProperty(this._restApiId, tokenMap));
+        this._attachedStageKeys = templates.filter((template) => {
+            if(template.type !== 'AWS::ApiGateway::Stage') {
+                return false;
+            }
+            const stageApiId = template._finalizeProperty(template.properties.RestApiId, tokenMap);
+            return JSON.stringify(stageApiId) === restApiId;
+        }).map((template) => template.key);
+    }
+
+    /**
+     * Generates the usage plan markup, including references to all of the
+     * stages governed by the plan.
+     *
+     * @param {Object} dataBag A hash containing data that can be injected
+     *        into placeholders within the tokens.
+     * @param {Array} [issues] An optional array to which unresolved tokens
+     *        and unassigned (null) values will be reported.
+     *
+     * @return {Object} An object that represents the template markup
+     */
+    finalize(data, issues) {
+        const result = super.finalize(data, issues);
+        const stageKeys = this._stageKeys.map((key) => this._finalizeProperty(key, data));
+        this._attachedStageKeys.forEach((key) => {
+            if(stageKeys.indexOf(key) < 0) {
+                stageKeys.push(key);
+            }
+        });
+        this._methodThrottles.forEach((item) => {
+            if(typeof item.stage === 'undefined') {
+                return;
+            }
+            const stage = this._finalizeProperty(item.stage, data);
+            if(stageKeys.indexOf(stage) < 0) {
+                throw new Error(`Method throttle [${item.method}] references stage [${stage}], which is not part of usage plan [${this.key}]`);
+            }
+        });
+        if(stageKeys.length <= 0) {
+            return result;
+        }
+        if(this._restApiId === null) {
+            throw new Error(`Usage plan [${this.key}] does not reference a rest api`);
+        }
+
+        result.Properties.ApiStages = stageKeys.map((key) => {
+            const stage = {
+                ApiId: this._finalizeProperty(this._restApiId, data),
+                Stage: _fn.ref(key)
+            };
+            this._methodThrottles.forEach((item) => {
+                if(typeof item.stage === 'undefined' ||
+                   this._finalizeProperty(item.stage, data) === key) {
+                    stage.Throttle = stage.Throttle || {};
+                    stage.Throttle[item.method] = item.throttle;
+                }
+            });
+            return stage;
+        });
+
+        return result;
+    }
+}
+
+module.exports = UsagePlanTemplate;
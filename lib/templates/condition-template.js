@@ -0,0 +1,100 @@
+'use strict';
+
+const _clone = require('clone');
+const Template = require('./template');
+const _fn = require('../utils/fn');
+
+/**
+ * Specialized template class for a cloud formation condition declaration.
+ * Condition templates are emitted in the conditions section of the cloud
+ * formation document.
+ *
+ * @extends {Template}
+ */
+class ConditionTemplate extends Template {
+    /**
+     * @param {String} key A key that uniquely identifies the template
+     * @param {Object} [expression] An optional condition expression. The
+     *        expression can also be set later using `setExpression()`.
+     */
+    constructor(key, expression) {
+        super(key, 'Condition', {
+            Expression: null
+        });
+        if(typeof expression !== 'undefined') {
+            this.setExpression(expression);
+        }
+    }
+
+    /**
+     * The top level section of the cloud formation document to which the
+     * template belongs.
+     *
+     * @return {String} The name of the section.
+     */
+    get section() {
+        return 'Conditions';
+    }
+
+    /**
+     * Gets a reference to the condition that can be used within other
+     * condition expressions (Fn::And, Fn::Or, Fn::Not).
+     *
+     * @return {Object} A cloud formation condition reference.
+     */
+    getConditionRef() {
+        return _fn.condition(this);
+    }
+
+    /**
+     * Gets a cloud formation expression that returns one value if the
+     * condition is true, and another value if it is false.
+     *
+     * @param {*} trueValue The value returned if the condition is true.
+     * @param {*} falseValue The value returned if the condition is false.
+     *
+     * @return {Object} A cloud formation if object.
+     */
+    getIf(trueValue, falseValue) {
+        return _fn.if(this, trueValue, falseValue);
+    }
+
+    /**
+     * Assigns the condition expression to the template.
+     *
+     * @param {Object} expression An object that represents the condition
+     *        (Fn::Equals, Fn::And, Fn::Or, Fn::Not or a condition reference).
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setExpression(expression) {
+        if(!expression || (expression instanceof Array) || typeof expression !== 'object') {
+            throw new Error('Invalid expression specified (arg #1)');
+        }
+
+        this.properties.Expression = _clone(expression);
+
+        return this;
+    }
+
+    /**
+     * Generates the condition declaration, replacing tokens as necessary.
+     *
+     * @param {Object} dataBag A hash containing data that can be injected
+     *        into placeholders within the tokens.
+     * @param {Array} [issues] An optional array to which unresolved tokens
+     *        and unassigned (null) values will be reported.
+     *
+     * @return {Object} An object that represents the condition markup
+     */
+    finalize(data, issues) {
+        if(!data || (data instanceof Array) || typeof data !== 'object') {
+            data = {};
+        }
+        return this._finalizeProperty(this.properties.Expression, data,
+                                      'Expression', issues);
+    }
+}
+
+module.exports = ConditionTemplate;
@@ -0,0 +1,150 @@
+'use strict';
+
+const IamRoleTemplate = require('./iam-role-template');
+const PolicyDocument = require('./policy-document');
+const PolicyStatement = require('./policy-statement');
+const _iamUtils = require('../../utils/iam-utils');
+const _fn = require('../../utils/fn');
+
+const DEFAULT_POLICY_NAME = 'api-gateway-invocation';
+
+/**
+ * Specialized role template that api gateway can assume in order to invoke
+ * lambda functions and AWS services.
+ *
+ * The permissions of the role are derived when the stack is assembled, from
+ * the back ends of the methods and authorizers in the build that use the
+ * role as their credentials. Only the actions and resources that those back
+ * ends actually require are granted.
+ *
+ * @example
+ * const role = new ApiInvocationRoleTemplate('API_ROLE', 'api-invoke');
+ * method.setSqsBackend('jobs', role);
+ *
+ * @extends {IamRoleTemplate}
+ */
+class ApiInvocationRoleTemplate extends IamRoleTemplate {
+    /**
+     * @param {String} key A key that uniquely identifies the template
+     * @param {String} roleName The name of the role
+     * @param {String} [policyName='api-gateway-invocation'] The name of the
+     *        inline policy that will contain the derived permissions.
+     */
+    constructor(key, roleName, policyName) {
+        if(typeof policyName === 'undefined') {
+            policyName = DEFAULT_POLICY_NAME;
+        }
+        if(typeof policyName !== 'string' || policyName.length <= 0) {
+            throw new Error('Invalid policy name specified (arg #3)');
+        }
+
+        super(key, roleName);
+        this.addTrustedService('apigateway.amazonaws.com');
+
+        this._policyName = policyName;
+        this._permissions = [];
+    }
+
+    /**
+     * Returns the credentials that a method or authorizer template uses to
+     * invoke its back end.
+     *
+     * @private
+     * @param {Object} template The method or authorizer template.
+     *
+     * @return {*} The credentials, or undefined if none have been set.
+     */
+    _getCredentials(template) {
+        const props = template.properties;
+        if(template.type === 'AWS::ApiGateway::Method') {
+            return props.Integration? props.Integration.Credentials: undefined;
+        }
+        return props.AuthorizerCredentials;
+    }
+
+    /**
+     * Identifies the methods and authorizers in the build that use this role
+     * as their credentials, and collects the permissions that their back ends
+     * require.
+     *
+     * @param {Array} templates The list of all templates in the build.
+     * @param {Object} tokenMap The map of tokens to replacement values.
+     */
+    prepare(templates, tokenMap) {
+        const roleName = this._finalizeProperty(this.properties.RoleName, tokenMap);
+        const path = this._finalizeProperty(this.properties.Path, tokenMap);
+        const credentials = [
+            _iamUtils.getRoleUri(roleName, path),
+            _fn.getAtt(this, 'Arn')
+        ].map((value) => JSON.stringify(value));
+
+        this._permissions = [];
+        templates.forEach((template) => {
+            if(template.type !== 'AWS::ApiGateway::Method' &&
+               template.type !== 'AWS::ApiGateway::Authorizer') {
+                return;
+            }
+            const templateCredentials = this._getCredentials(template);
+            if(!templateCredentials) {
+                return;
+            }
+            const value = template._finalizeProperty(templateCredentials, tokenMap);
+            if(credentials.indexOf(JSON.stringify(value)) < 0) {
+                return;
+            }
+            const permission = template.getInvocationPermission(templates, tokenMap);
+            if(permission) {
+                this._permissions.push(permission);
+            } else {
+                this._logger.warn(`Unable to derive the permissions required by [${template.key}]. ` +
+                                  `Permissions must be added to role [${this.key}] explicitly`);
+            }
+        });
+    }
+
+    /**
+     * Generates a template that includes an inline policy with the
+     * permissions derived from the methods and authorizers that use the role.
+     *
+     * @param {Object} dataBag A hash containing data that can be injected
+     *        into placeholders within the tokens.
+     * @param {Array} [issues] An optional array to which unresolved tokens
+     *        and unassigned (null) values will be reported.
+     *
+     * @return {Object} An object that represents the template markup
+     */
+    finalize(data, issues) {
+        const result = super.finalize(data, issues);
+        if(this._permissions.length <= 0) {
+            return result;
+        }
+
+        // Permissions with the same set of actions are merged into a single
+        // statement.
+        const statements = {};
+        const document = new PolicyDocument();
+        this._permissions.forEach((permission) => {
+            const actions = permission.actions.slice().sort();
+            const id = actions.join(',');
+            let statement = statements[id];
+            if(!statement) {
+                statement = new PolicyStatement().addAction(actions);
+                statements[id] = statement;
+                document.addStatement(statement);
+            }
+            statement.addResource(this._finalizeProperty(permission.resources, data,
+                                                         'Policies', issues));
+        });
+
+        const policies = result.Properties.Policies || [];
+        policies.push({
+            PolicyName: this._policyName,
+            PolicyDocument: document.markup
+        });
+        result.Properties.Policies = policies;
+
+        return result;
+    }
+}
+
+module.exports = ApiInvocationRoleTemplate;
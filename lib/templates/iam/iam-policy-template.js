@@ -0,0 +1,66 @@
+'use strict';
+
+const Template = require('../template');
+const PolicyDocument = require('./policy-document');
+const _fn = require('../../utils/fn');
+
+/**
+ * Specialized template class for a standalone IAM policy that can be attached
+ * to one or more roles.
+ *
+ * @extends {Template}
+ */
+class IamPolicyTemplate extends Template {
+    /**
+     * @param {String} key A key that uniquely identifies the template
+     * @param {String} policyName The name of the policy
+     */
+    constructor(key, policyName) {
+        if(typeof policyName !== 'string' || policyName.length <= 0) {
+            throw new Error('Invalid policy name specified (arg #2)');
+        }
+
+        super(key, 'AWS::IAM::Policy', {
+            PolicyName: policyName,
+            PolicyDocument: null,
+            Roles: []
+        });
+    }
+
+    /**
+     * Sets the policy document.
+     *
+     * @param {Object} document A policy document, or an object that
+     *        represents the policy document markup.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setPolicyDocument(document) {
+        this.properties.PolicyDocument = PolicyDocument.toMarkup(document);
+
+        return this;
+    }
+
+    /**
+     * Attaches the policy to a role.
+     *
+     * @param {String|Object} role The name of the role, or a reference to a
+     *        role template.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    addRole(role) {
+        if(role instanceof Template) {
+            role = _fn.ref(role);
+        } else if((typeof role !== 'string' || role.length <= 0) && !this._isObject(role)) {
+            throw new Error('Invalid role specified (arg #1)');
+        }
+        this.properties.Roles.push(role);
+
+        return this;
+    }
+}
+
+module.exports = IamPolicyTemplate;
@@ -0,0 +1,155 @@
+'use strict';
+
+const Template = require('../template');
+const PolicyDocument = require('./policy-document');
+
+/**
+ * Specialized template class for an IAM role.
+ *
+ * @extends {Template}
+ */
+class IamRoleTemplate extends Template {
+    /**
+     * @param {String} key A key that uniquely identifies the template
+     * @param {String} roleName The name of the role
+     */
+    constructor(key, roleName) {
+        if(typeof roleName !== 'string' || roleName.length <= 0) {
+            throw new Error('Invalid role name specified (arg #2)');
+        }
+
+        super(key, 'AWS::IAM::Role', {
+            RoleName: roleName,
+            Description: undefined,
+            Path: undefined,
+            AssumeRolePolicyDocument: null,
+            ManagedPolicyArns: undefined,
+            Policies: undefined
+        });
+
+        this._trustedServices = [];
+    }
+
+    /**
+     * Assigns a description to the role template.
+     *
+     * @param {String} [description = ''] An optional description for the
+     *        role.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setDescription(description) {
+        if(typeof description !== 'string') {
+            description = '';
+        }
+
+        this.properties.Description = description;
+
+        return this;
+    }
+
+    /**
+     * Sets the path of the role.
+     *
+     * @param {String} path The path of the role. Must begin and end with '/'.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setPath(path) {
+        if(typeof path !== 'string' || !/^\/(.*\/)?$/.test(path)) {
+            throw new Error('Invalid path specified (arg #1). Must begin and end with "/"');
+        }
+        this.properties.Path = path;
+
+        return this;
+    }
+
+    /**
+     * Sets the trust policy of the role. This will replace any services that
+     * were previously trusted using `addTrustedService()`.
+     *
+     * @param {Object} document A policy document, or an object that
+     *        represents the policy document markup.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setAssumeRolePolicy(document) {
+        this.properties.AssumeRolePolicyDocument = PolicyDocument.toMarkup(document);
+        this._trustedServices = [];
+
+        return this;
+    }
+
+    /**
+     * Allows an AWS service to assume the role. The trust policy of the
+     * role is regenerated to include all trusted services.
+     *
+     * @param {String} service The service principal (for example,
+     *        'lambda.amazonaws.com').
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    addTrustedService(service) {
+        if(typeof service !== 'string' || service.length <= 0) {
+            throw new Error('Invalid service specified (arg #1)');
+        }
+        if(this._trustedServices.indexOf(service) < 0) {
+            this._trustedServices.push(service);
+        }
+        this.properties.AssumeRolePolicyDocument =
+                    PolicyDocument.createTrustPolicy(this._trustedServices).markup;
+
+        return this;
+    }
+
+    /**
+     * Adds an inline policy to the role.
+     *
+     * @param {String} name The name of the policy.
+     * @param {Object} document A policy document, or an object that
+     *        represents the policy document markup.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    addPolicy(name, document) {
+        if(typeof name !== 'string' || name.length <= 0) {
+            throw new Error('Invalid policy name specified (arg #1)');
+        }
+        const policies = this._ensureProperty('Policies', []);
+        if(policies.some((policy) => policy.PolicyName === name)) {
+            throw new Error(`Policy [${name}] has already been added to role [${this.key}]`);
+        }
+        policies.push({
+            PolicyName: name,
+            PolicyDocument: PolicyDocument.toMarkup(document)
+        });
+
+        return this;
+    }
+
+    /**
+     * Attaches a managed policy to the role.
+     *
+     * @param {String|Object} policyArn The ARN of the managed policy, or an
+     *        intrinsic function that resolves to the ARN.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    addManagedPolicy(policyArn) {
+        if((typeof policyArn !== 'string' || policyArn.length <= 0) &&
+           !this._isObject(policyArn)) {
+            throw new Error('Invalid policy arn specified (arg #1)');
+        }
+        this._ensureProperty('ManagedPolicyArns', []).push(policyArn);
+
+        return this;
+    }
+}
+
+module.exports = IamRoleTemplate;
@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * Entry point for IAM templates
+ */
+const index = {
+    /**
+     * Reference to the template abstraction for IAM roles
+     */
+    IamRoleTemplate: require('./iam-role-template'),
+
+    /**
+     * Reference to the template abstraction for IAM policies
+     */
+    IamPolicyTemplate: require('./iam-policy-template'),
+
+    /**
+     * Reference to the template abstraction for roles that allow api gateway
+     * to invoke the back ends of methods and authorizers
+     */
+    ApiInvocationRoleTemplate: require('./api-invocation-role-template'),
+
+    /**
+     * Reference to a builder for IAM policy documents
+     */
+    PolicyDocument: require('./policy-document'),
+
+    /**
+     * Reference to a builder for IAM policy statements
+     */
+    PolicyStatement: require('./policy-statement')
+};
+
+module.exports = index;
@@ -0,0 +1,132 @@
+'use strict';
+
+const PolicyStatement = require('./policy-statement');
+
+const POLICY_VERSION = '2012-10-17';
+
+/**
+ * Fluent builder for IAM policy documents. The resulting markup can be
+ * assigned to role and policy templates, or to any other property that
+ * expects a policy document.
+ *
+ * @example
+ * const doc = new PolicyDocument()
+ *     .allow('sqs:SendMessage', 'arn:aws:sqs:us-east-1:123456789012:jobs')
+ *     .addStatement(new PolicyStatement('Deny')
+ *         .addAction('sqs:DeleteQueue')
+ *         .addResource('*'));
+ */
+class PolicyDocument {
+    constructor() {
+        this._statements = [];
+    }
+
+    /**
+     * Creates a trust policy that allows one or more AWS services to assume
+     * a role.
+     *
+     * @param {String|Array} services The service principal(s) (for example,
+     *        'apigateway.amazonaws.com').
+     *
+     * @return {Object} The policy document.
+     */
+    static createTrustPolicy(services) {
+        return new PolicyDocument().addStatement(new PolicyStatement()
+            .addPrincipal('Service', services)
+            .addAction('sts:AssumeRole'));
+    }
+
+    /**
+     * Converts a policy document or a plain object into policy document
+     * markup.
+     *
+     * @param {Object} document A policy document, or an object that
+     *        represents the policy document markup.
+     *
+     * @return {Object} The policy document markup.
+     */
+    static toMarkup(document) {
+        if(document instanceof PolicyDocument) {
+            return document.markup;
+        }
+        if(!document || (document instanceof Array) || typeof document !== 'object') {
+            throw new Error('Invalid policy document specified');
+        }
+        return JSON.parse(JSON.stringify(document));
+    }
+
+    /**
+     * Adds a statement to the policy document.
+     *
+     * @param {Object} statement The policy statement.
+     *
+     * @return {Object} A reference to the document. Can be used to
+     *         chain multiple calls.
+     */
+    addStatement(statement) {
+        if(!(statement instanceof PolicyStatement)) {
+            throw new Error('Invalid statement specified (arg #1)');
+        }
+        this._statements.push(statement);
+
+        return this;
+    }
+
+    /**
+     * Adds a statement that allows actions on resources.
+     *
+     * @param {String|Array} actions The action(s) to allow.
+     * @param {String|Object|Array} resources The resource(s) on which the
+     *        actions are allowed.
+     *
+     * @return {Object} A reference to the document. Can be used to
+     *         chain multiple calls.
+     */
+    allow(actions, resources) {
+        return this.addStatement(new PolicyStatement('Allow')
+                                    .addAction(actions)
+                                    .addResource(resources));
+    }
+
+    /**
+     * Adds a statement that denies actions on resources.
+     *
+     * @param {String|Array} actions The action(s) to deny.
+     * @param {String|Object|Array} resources The resource(s) on which the
+     *        actions are denied.
+     *
+     * @return {Object} A reference to the document. Can be used to
+     *         chain multiple calls.
+     */
+    deny(actions, resources) {
+        return this.addStatement(new PolicyStatement('Deny')
+                                    .addAction(actions)
+                                    .addResource(resources));
+    }
+
+    /**
+     * Returns the list of statements in the document.
+     *
+     * @return {Array} The list of statements.
+     */
+    get statements() {
+        return this._statements.slice();
+    }
+
+    /**
+     * Generates the policy document markup.
+     *
+     * @return {Object} An object that represents the policy document.
+     */
+    get markup() {
+        if(this._statements.length <= 0) {
+            throw new Error('Policy documents must include at least one statement');
+        }
+        return {
+            Version: POLICY_VERSION,
+            Statement: this._statements.map((statement) => statement.markup)
+        };
+    }
+}
+
+module.exports = PolicyDocument;
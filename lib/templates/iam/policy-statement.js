@@ -0,0 +1,234 @@
+'use strict';
+
+const _clone = require('clone');
+
+const EFFECTS = [ 'Allow', 'Deny' ];
+const PRINCIPAL_TYPES = [ 'AWS', 'Service', 'Federated', 'CanonicalUser' ];
+
+/**
+ * Checks if the specified value is a non empty string, or an intrinsic
+ * function object.
+ *
+ * @private
+ * @param {*} value The value to check.
+ *
+ * @return {Boolean} True if the value is a string or an object.
+ */
+function _isStringOrIntrinsic(value) {
+    return (typeof value === 'string' && value.length > 0) ||
+           (!!value && !(value instanceof Array) && typeof value === 'object');
+}
+
+/**
+ * Converts a value or a list of values into a list, validating each value.
+ *
+ * @private
+ * @param {*} values A value, or a list of values.
+ * @param {String} name The name of the values (used for error reporting).
+ *
+ * @return {Array} A list of values.
+ */
+function _toList(values, name) {
+    if(!(values instanceof Array)) {
+        values = [ values ];
+    }
+    if(values.length <= 0 || !values.every(_isStringOrIntrinsic)) {
+        throw new Error(`Invalid ${name} specified (arg #1)`);
+    }
+    return values;
+}
+
+/**
+ * Adds values to a list, skipping values that already exist in the list.
+ *
+ * @private
+ * @param {Array} list The list to add values to.
+ * @param {Array} values The values to add.
+ */
+function _addUnique(list, values) {
+    values.forEach((value) => {
+        const json = JSON.stringify(value);
+        if(!list.some((item) => JSON.stringify(item) === json)) {
+            list.push(_clone(value));
+        }
+    });
+}
+
+/**
+ * A single statement in an IAM policy document. Statements are built using
+ * fluent methods, and are typically added to a `PolicyDocument`.
+ */
+class PolicyStatement {
+    /**
+     * @param {String} [effect='Allow'] The effect of the statement. Must be
+     *        one of 'Allow' or 'Deny'.
+     */
+    constructor(effect) {
+        if(typeof effect === 'undefined') {
+            effect = 'Allow';
+        }
+        if(EFFECTS.indexOf(effect) < 0) {
+            throw new Error(`Invalid effect specified (arg #1). Must be one of: [${EFFECTS}]`);
+        }
+        this._sid = undefined;
+        this._effect = effect;
+        this._principal = undefined;
+        this._actions = [];
+        this._resources = [];
+        this._conditions = undefined;
+    }
+
+    /**
+     * Assigns an identifier to the statement.
+     *
+     * @param {String} sid The statement identifier.
+     *
+     * @return {Object} A reference to the statement. Can be used to
+     *         chain multiple calls.
+     */
+    setSid(sid) {
+        if(typeof sid !== 'string' || !/^[A-Za-z0-9]+$/.test(sid)) {
+            throw new Error('Invalid sid specified (arg #1)');
+        }
+        this._sid = sid;
+
+        return this;
+    }
+
+    /**
+     * Adds one or more actions to the statement (for example,
+     * 'lambda:InvokeFunction').
+     *
+     * @param {String|Array} actions The action(s) to add.
+     *
+     * @return {Object} A reference to the statement. Can be used to
+     *         chain multiple calls.
+     */
+    addAction(actions) {
+        _addUnique(this._actions, _toList(actions, 'actions'));
+
+        return this;
+    }
+
+    /**
+     * Adds one or more resources to the statement.
+     *
+     * @param {String|Object|Array} resources The ARN(s) of the resource(s).
+     *        Intrinsic functions that resolve to ARNs are also supported.
+     *
+     * @return {Object} A reference to the statement. Can be used to
+     *         chain multiple calls.
+     */
+    addResource(resources) {
+        _addUnique(this._resources, _toList(resources, 'resources'));
+
+        return this;
+    }
+
+    /**
+     * Adds one or more principals to the statement. Principals are required
+     * for trust policies and resource policies only.
+     *
+     * @param {String} type The type of the principal. Must be one of 'AWS',
+     *        'Service', 'Federated' or 'CanonicalUser'.
+     * @param {String|Object|Array} principals The principal(s) (for example,
+     *        'apigateway.amazonaws.com' for the 'Service' type).
+     *
+     * @return {Object} A reference to the statement. Can be used to
+     *         chain multiple calls.
+     */
+    addPrincipal(type, principals) {
+        if(PRINCIPAL_TYPES.indexOf(type) < 0) {
+            throw new Error(`Invalid principal type specified (arg #1). Must be one of: [${PRINCIPAL_TYPES}]`);
+        }
+        if(!(principals instanceof Array)) {
+            principals = [ principals ];
+        }
+        if(principals.length <= 0 || !principals.every(_isStringOrIntrinsic)) {
+            throw new Error('Invalid principals specified (arg #2)');
+        }
+        this._principal = this._principal || {};
+        this._principal[type] = this._principal[type] || [];
+        _addUnique(this._principal[type], principals);
+
+        return this;
+    }
+
+    /**
+     * Adds a condition to the statement.
+     *
+     * @param {String} operator The condition operator (for example,
+     *        'StringEquals' or 'ArnLike').
+     * @param {String} key The condition key (for example, 'aws:SourceArn').
+     * @param {String|Object|Array} value The value(s) to compare against.
+     *
+     * @return {Object} A reference to the statement. Can be used to
+     *         chain multiple calls.
+     */
+    addCondition(operator, key, value) {
+        if(typeof operator !== 'string' || operator.length <= 0) {
+            throw new Error('Invalid operator specified (arg #1)');
+        }
+        if(typeof key !== 'string' || key.length <= 0) {
+            throw new Error('Invalid key specified (arg #2)');
+        }
+        if(typeof value === 'undefined' || value === null) {
+            throw new Error('Invalid value specified (arg #3)');
+        }
+        this._conditions = this._conditions || {};
+        this._conditions[operator] = this._conditions[operator] || {};
+        this._conditions[operator][key] = _clone(value);
+
+        return this;
+    }
+
+    /**
+     * Returns the list of actions in the statement.
+     *
+     * @return {Array} The list of actions.
+     */
+    get actions() {
+        return this._actions.slice();
+    }
+
+    /**
+     * Returns the list of resources in the statement.
+     *
+     * @return {Array} The list of resources.
+     */
+    get resources() {
+        return this._resources.slice();
+    }
+
+    /**
+     * Generates the policy statement markup.
+     *
+     * @return {Object} An object that represents the statement.
+     */
+    get markup() {
+        if(this._actions.length <= 0) {
+            throw new Error('Policy statements must include at least one action');
+        }
+        if(this._resources.length <= 0 && !this._principal) {
+            throw new Error('Policy statements must include at least one resource or principal');
+        }
+        const statement = {};
+        if(this._sid) {
+            statement.Sid = this._sid;
+        }
+        statement.Effect = this._effect;
+        if(this._principal) {
+            statement.Principal = _clone(this._principal);
+        }
+        statement.Action = this._actions.slice();
+        if(this._resources.length > 0) {
+            statement.Resource = _clone(this._resources);
+        }
+        if(this._conditions) {
+            statement.Condition = _clone(this._conditions);
+        }
+        return statement;
+    }
+}
+
+module.exports = PolicyStatement;
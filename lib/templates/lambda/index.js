@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Entry point for lambda templates
+ */
+const index = {
+    /**
+     * Reference to the template abstraction for lambda functions
+     */
+    LambdaFunctionTemplate: require('./lambda-function-template'),
+
+    /**
+     * Reference to the template abstraction for lambda function aliases
+     */
+    LambdaAliasTemplate: require('./lambda-alias-template'),
+
+    /**
+     * Reference to the template abstraction for lambda permissions
+     */
+    LambdaPermissionTemplate: require('./lambda-permission-template')
+};
+
+module.exports = index;
@@ -0,0 +1,76 @@
+'use strict';
+
+const Template = require('../template');
+const _fn = require('../../utils/fn');
+
+/**
+ * Specialized template class for a lambda function alias. Aliases are
+ * typically created using `LambdaFunctionTemplate.addAlias()`.
+ *
+ * @extends {Template}
+ */
+class LambdaAliasTemplate extends Template {
+    /**
+     * @param {String} key A key that uniquely identifies the template
+     * @param {String|Object} lambdaFunction The logical id of the lambda
+     *        function (can be a '<% %>' token), or a reference to the lambda
+     *        function template.
+     * @param {String} name The name of the alias
+     */
+    constructor(key, lambdaFunction, name) {
+        if(!(lambdaFunction instanceof Template) &&
+           (typeof lambdaFunction !== 'string' || lambdaFunction.length <= 0)) {
+            throw new Error('Invalid lambda function specified (arg #2)');
+        }
+        if(typeof name !== 'string' || name.length <= 0) {
+            throw new Error('Invalid alias name specified (arg #3)');
+        }
+
+        super(key, 'AWS::Lambda::Alias', {
+            FunctionName: _fn.ref(lambdaFunction),
+            FunctionVersion: '$LATEST',
+            Name: name,
+            Description: undefined
+        });
+    }
+
+    /**
+     * Assigns the version of the function to which the alias points.
+     *
+     * @param {String|Object} version The function version (for example, '3'
+     *        or '$LATEST'), or an intrinsic function that resolves to the
+     *        version.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setVersion(version) {
+        if((typeof version !== 'string' || version.length <= 0) && !this._isObject(version)) {
+            throw new Error('Invalid version specified (arg #1)');
+        }
+        this.properties.FunctionVersion = version;
+
+        return this;
+    }
+
+    /**
+     * Assigns a description to the alias template.
+     *
+     * @param {String} [description = ''] An optional description for the
+     *        alias.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setDescription(description) {
+        if(typeof description !== 'string') {
+            description = '';
+        }
+
+        this.properties.Description = description;
+
+        return this;
+    }
+}
+
+module.exports = LambdaAliasTemplate;
@@ -0,0 +1,355 @@
+'use strict';
+
+const Template = require('../template');
+const LambdaAliasTemplate = require('./lambda-alias-template');
+const _iamUtils = require('../../utils/iam-utils');
+const _fn = require('../../utils/fn');
+
+const MIN_MEMORY_SIZE = 128;
+const MAX_MEMORY_SIZE = 10240;
+const MAX_TIMEOUT = 900;
+const MAX_LAYERS = 5;
+const VARIABLE_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+
+/**
+ * Specialized template class for a lambda function.
+ *
+ * Api gateway methods and authorizers can reference the function (or one
+ * of its aliases) directly. Permissions that allow api gateway to invoke the
+ * function are generated automatically when the stack is assembled.
+ *
+ * @extends {Template}
+ */
+class LambdaFunctionTemplate extends Template {
+    /**
+     * @param {String} key A key that uniquely identifies the template
+     * @param {String} functionName The name of the function
+     */
+    constructor(key, functionName) {
+        if(typeof functionName !== 'string' || functionName.length <= 0) {
+            throw new Error('Invalid function name specified (arg #2)');
+        }
+
+        super(key, 'AWS::Lambda::Function', {
+            FunctionName: functionName,
+            Description: undefined,
+            Code: null,
+            Handler: null,
+            Runtime: null,
+            Role: null,
+            Environment: undefined,
+            MemorySize: undefined,
+            Timeout: undefined,
+            VpcConfig: undefined,
+            Layers: undefined
+        });
+
+        this._aliases = [];
+    }
+
+    /**
+     * Assigns a description to the function template.
+     *
+     * @param {String} [description = ''] An optional description for the
+     *        function.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setDescription(description) {
+        if(typeof description !== 'string') {
+            description = '';
+        }
+
+        this.properties.Description = description;
+
+        return this;
+    }
+
+    /**
+     * Sets the location of the deployment package of the function in S3.
+     *
+     * @param {String} bucket The name of the bucket (can be a '<% %>' token).
+     * @param {String} key The key of the deployment package.
+     * @param {String} [version] An optional object version of the
+     *        deployment package.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setS3Code(bucket, key, version) {
+        if(typeof bucket !== 'string' || bucket.length <= 0) {
+            throw new Error('Invalid bucket specified (arg #1)');
+        }
+        if(typeof key !== 'string' || key.length <= 0) {
+            throw new Error('Invalid key specified (arg #2)');
+        }
+        this.properties.Code = {
+            S3Bucket: bucket,
+            S3Key: key,
+            S3ObjectVersion: (typeof version === 'string' && version.length > 0)?
+                                version: undefined
+        };
+
+        return this;
+    }
+
+    /**
+     * Sets the source code of the function. Only supported for nodejs and
+     * python runtimes.
+     *
+     * @param {String} code The source code of the function.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setInlineCode(code) {
+        if(typeof code !== 'string' || code.length <= 0) {
+            throw new Error('Invalid code specified (arg #1)');
+        }
+        this.properties.Code = {
+            ZipFile: code
+        };
+
+        return this;
+    }
+
+    /**
+     * Sets the handler of the function.
+     *
+     * @param {String} handler The name of the handler (for example,
+     *        'index.handler').
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setHandler(handler) {
+        if(typeof handler !== 'string' || handler.length <= 0) {
+            throw new Error('Invalid handler specified (arg #1)');
+        }
+        this.properties.Handler = handler;
+
+        return this;
+    }
+
+    /**
+     * Sets the runtime of the function.
+     *
+     * @param {String} runtime The runtime identifier (for example,
+     *        'nodejs18.x').
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setRuntime(runtime) {
+        if(typeof runtime !== 'string' || runtime.length <= 0) {
+            throw new Error('Invalid runtime specified (arg #1)');
+        }
+        this.properties.Runtime = runtime;
+
+        return this;
+    }
+
+    /**
+     * Sets the execution role of the function.
+     *
+     * @param {String|Object} role The name of the IAM role, a reference to
+     *        a role template, or an intrinsic function that resolves to the
+     *        ARN of the role.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setRole(role) {
+        if(role instanceof Template) {
+            this.properties.Role = _fn.getAtt(role, 'Arn');
+        } else if(typeof role === 'string' && role.length > 0) {
+            this.properties.Role = _iamUtils.getRoleUri(role);
+        } else if(this._isObject(role)) {
+            this.properties.Role = role;
+        } else {
+            throw new Error('Invalid role specified (arg #1)');
+        }
+
+        return this;
+    }
+
+    /**
+     * Sets an environment variable for the function.
+     *
+     * @param {String} name The name of the variable.
+     * @param {String|Object} value The value of the variable.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setEnvironmentVariable(name, value) {
+        if(typeof name !== 'string' || !VARIABLE_NAME_PATTERN.test(name)) {
+            throw new Error('Invalid variable name specified (arg #1)');
+        }
+        if(typeof value === 'undefined' || value === null) {
+            throw new Error('Invalid variable value specified (arg #2)');
+        }
+        const variables = this._ensureProperty('Environment.Variables');
+        variables[name] = value;
+
+        return this;
+    }
+
+    /**
+     * Sets multiple environment variables for the function.
+     *
+     * @param {Object} variables A map of variable names to values.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setEnvironmentVariables(variables) {
+        if(!this._isObject(variables)) {
+            throw new Error('Invalid variables specified (arg #1)');
+        }
+        for(let name in variables) {
+            this.setEnvironmentVariable(name, variables[name]);
+        }
+
+        return this;
+    }
+
+    /**
+     * Sets the amount of memory available to the function.
+     *
+     * @param {Number} memorySize The memory size, in megabytes (128 - 10240).
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setMemorySize(memorySize) {
+        if(typeof memorySize !== 'number' || memorySize % 1 !== 0 ||
+           memorySize < MIN_MEMORY_SIZE || memorySize > MAX_MEMORY_SIZE) {
+            throw new Error(`Invalid memory size specified (arg #1). Must be an integer between ${MIN_MEMORY_SIZE} and ${MAX_MEMORY_SIZE}`);
+        }
+        this.properties.MemorySize = memorySize;
+
+        return this;
+    }
+
+    /**
+     * Sets the maximum execution time of the function.
+     *
+     * @param {Number} timeout The timeout, in seconds (1 - 900).
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setTimeout(timeout) {
+        if(typeof timeout !== 'number' || timeout % 1 !== 0 ||
+           timeout < 1 || timeout > MAX_TIMEOUT) {
+            throw new Error(`Invalid timeout specified (arg #1). Must be an integer between 1 and ${MAX_TIMEOUT}`);
+        }
+        this.properties.Timeout = timeout;
+
+        return this;
+    }
+
+    /**
+     * Connects the function to a VPC.
+     *
+     * @param {Array|Object} subnetIds The ids of the subnets, or an intrinsic
+     *        function that resolves to a list of ids.
+     * @param {Array|Object} securityGroupIds The ids of the security groups,
+     *        or an intrinsic function that resolves to a list of ids.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setVpcConfig(subnetIds, securityGroupIds) {
+        if(!(subnetIds instanceof Array) && !this._isObject(subnetIds)) {
+            throw new Error('Invalid subnet ids specified (arg #1)');
+        }
+        if(!(securityGroupIds instanceof Array) && !this._isObject(securityGroupIds)) {
+            throw new Error('Invalid security group ids specified (arg #2)');
+        }
+        this.properties.VpcConfig = {
+            SubnetIds: subnetIds,
+            SecurityGroupIds: securityGroupIds
+        };
+
+        return this;
+    }
+
+    /**
+     * Adds a layer to the function.
+     *
+     * @param {String|Object} layerArn The ARN of the layer version, or an
+     *        intrinsic function that resolves to the ARN.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    addLayer(layerArn) {
+        if((typeof layerArn !== 'string' || layerArn.length <= 0) && !this._isObject(layerArn)) {
+            throw new Error('Invalid layer arn specified (arg #1)');
+        }
+        const layers = this._ensureProperty('Layers', []);
+        if(layers.length >= MAX_LAYERS) {
+            throw new Error(`A function cannot use more than ${MAX_LAYERS} layers`);
+        }
+        layers.push(layerArn);
+
+        return this;
+    }
+
+    /**
+     * Adds an alias for the function. The alias template will be included in
+     * the build, and can be referenced by api gateway methods and authorizers
+     * (see `getAlias()`).
+     *
+     * @param {String} name The name of the alias.
+     * @param {String|Object} [version='$LATEST'] The function version to
+     *        which the alias points.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    addAlias(name, version) {
+        if(typeof name !== 'string' || name.length <= 0) {
+            throw new Error('Invalid alias name specified (arg #1)');
+        }
+        if(this.getAlias(name)) {
+            throw new Error(`Alias [${name}] has already been defined for function [${this.key}]`);
+        }
+        const alias = new LambdaAliasTemplate(`${this.key}_${name}_ALIAS`, this, name);
+        if(typeof version !== 'undefined') {
+            alias.setVersion(version);
+        }
+        this._aliases.push(alias);
+
+        return this;
+    }
+
+    /**
+     * Returns the template for an alias of the function.
+     *
+     * @param {String} name The name of the alias.
+     *
+     * @return {Object} The alias template, or undefined if the alias has not
+     *         been defined.
+     */
+    getAlias(name) {
+        return this._aliases.find((alias) => alias.properties.Name === name);
+    }
+
+    /**
+     * Generates templates for the aliases of the function.
+     *
+     * @param {Array} templates The list of all templates in the build.
+     * @param {Object} tokenMap The map of tokens to replacement values.
+     *
+     * @return {Array} A list of generated templates.
+     */
+    generateTemplates(templates, tokenMap) {
+        return this._aliases.slice();
+    }
+}
+
+module.exports = LambdaFunctionTemplate;
@@ -0,0 +1,82 @@
+'use strict';
+
+const Template = require('../template');
+
+/**
+ * Specialized template class for a lambda permission, which allows a
+ * service (api gateway, by default) to invoke a lambda function. Permissions
+ * for functions referenced by api gateway methods and authorizers are
+ * generated automatically when the stack is assembled.
+ *
+ * @extends {Template}
+ */
+class LambdaPermissionTemplate extends Template {
+    /**
+     * @param {String} key A key that uniquely identifies the template
+     */
+    constructor(key) {
+        super(key, 'AWS::Lambda::Permission', {
+            Action: 'lambda:InvokeFunction',
+            FunctionName: null,
+            Principal: 'apigateway.amazonaws.com',
+            SourceArn: undefined
+        });
+    }
+
+    /**
+     * Assigns the function that the principal is allowed to invoke.
+     *
+     * @param {String|Object} lambdaFunction The name or ARN of the function,
+     *        or an intrinsic function that resolves to the name or ARN.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setFunction(lambdaFunction) {
+        if((typeof lambdaFunction !== 'string' || lambdaFunction.length <= 0) &&
+           !this._isObject(lambdaFunction)) {
+            throw new Error('Invalid lambda function specified (arg #1)');
+        }
+        this.properties.FunctionName = lambdaFunction;
+
+        return this;
+    }
+
+    /**
+     * Assigns the service principal that is allowed to invoke the function.
+     *
+     * @param {String} principal The service principal.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setPrincipal(principal) {
+        if(typeof principal !== 'string' || principal.length <= 0) {
+            throw new Error('Invalid principal specified (arg #1)');
+        }
+        this.properties.Principal = principal;
+
+        return this;
+    }
+
+    /**
+     * Restricts the permission to invocations from a specific source.
+     *
+     * @param {String|Object} sourceArn The ARN of the source, or an
+     *        intrinsic function that resolves to the ARN.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setSourceArn(sourceArn) {
+        if((typeof sourceArn !== 'string' || sourceArn.length <= 0) &&
+           !this._isObject(sourceArn)) {
+            throw new Error('Invalid source arn specified (arg #1)');
+        }
+        this.properties.SourceArn = sourceArn;
+
+        return this;
+    }
+}
+
+module.exports = LambdaPermissionTemplate;
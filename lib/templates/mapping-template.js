@@ -0,0 +1,115 @@
+'use strict';
+
+const _clone = require('clone');
+const Template = require('./template');
+const _fn = require('../utils/fn');
+
+/**
+ * Specialized template class for a cloud formation mapping declaration.
+ * Mapping templates are emitted in the mappings section of the cloud
+ * formation document.
+ *
+ * @extends {Template}
+ */
+class MappingTemplate extends Template {
+    /**
+     * @param {String} key A key that uniquely identifies the template
+     */
+    constructor(key) {
+        super(key, 'Mapping', {});
+    }
+
+    /**
+     * The top level section of the cloud formation document to which the
+     * template belongs.
+     *
+     * @return {String} The name of the section.
+     */
+    get section() {
+        return 'Mappings';
+    }
+
+    /**
+     * Gets a cloud formation lookup expression for a value within the
+     * mapping.
+     *
+     * @param {String|Object} topLevelKey The top level key. Can be a string
+     *        or an intrinsic function (typically a reference to a parameter).
+     * @param {String|Object} secondLevelKey The second level key. Can be a
+     *        string or an intrinsic function.
+     *
+     * @return {Object} A cloud formation find in map object.
+     */
+    findInMap(topLevelKey, secondLevelKey) {
+        return _fn.findInMap(this, topLevelKey, secondLevelKey);
+    }
+
+    /**
+     * Assigns a single value to the mapping.
+     *
+     * @param {String} topLevelKey The top level key.
+     * @param {String} secondLevelKey The second level key.
+     * @param {*} value The value to assign.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setValue(topLevelKey, secondLevelKey, value) {
+        if(typeof topLevelKey !== 'string' || topLevelKey.length <= 0) {
+            throw new Error('Invalid top level key specified (arg #1)');
+        }
+        if(typeof secondLevelKey !== 'string' || secondLevelKey.length <= 0) {
+            throw new Error('Invalid second level key specified (arg #2)');
+        }
+        if(typeof value === 'undefined') {
+            throw new Error('Invalid value specified (arg #3)');
+        }
+        const values = this._ensureProperty(topLevelKey, {});
+        values[secondLevelKey] = _clone(value);
+
+        return this;
+    }
+
+    /**
+     * Assigns a set of values to a top level key within the mapping. Values
+     * will be merged with any previously assigned values for the key.
+     *
+     * @param {String} topLevelKey The top level key.
+     * @param {Object} values A map of second level keys to values.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setValues(topLevelKey, values) {
+        if(typeof topLevelKey !== 'string' || topLevelKey.length <= 0) {
+            throw new Error('Invalid top level key specified (arg #1)');
+        }
+        if(!values || (values instanceof Array) || typeof values !== 'object') {
+            throw new Error('Invalid values specified (arg #2)');
+        }
+        for(let secondLevelKey in values) {
+            this.setValue(topLevelKey, secondLevelKey, values[secondLevelKey]);
+        }
+
+        return this;
+    }
+
+    /**
+     * Generates the mapping declaration, replacing tokens as necessary.
+     *
+     * @param {Object} dataBag A hash containing data that can be injected
+     *        into placeholders within the tokens.
+     * @param {Array} [issues] An optional array to which unresolved tokens
+     *        and unassigned (null) values will be reported.
+     *
+     * @return {Object} An object that represents the mapping markup
+     */
+    finalize(data, issues) {
+        if(!data || (data instanceof Array) || typeof data !== 'object') {
+            data = {};
+        }
+        return this._finalizeProperty(this.properties, data, '', issues);
+    }
+}
+
+module.exports = MappingTemplate;
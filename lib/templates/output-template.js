@@ -0,0 +1,110 @@
+'use strict';
+
+const _clone = require('clone');
+const Template = require('./template');
+
+/**
+ * Specialized template class for a cloud formation output declaration.
+ * Output templates are emitted in the outputs section of the cloud
+ * formation document, and can optionally be exported for use by other
+ * stacks.
+ *
+ * @extends {Template}
+ */
+class OutputTemplate extends Template {
+    /**
+     * @param {String} key A key that uniquely identifies the template
+     * @param {String|Object} value The value of the output. This can be a
+     *        string or an intrinsic function.
+     */
+    constructor(key, value) {
+        if(typeof value === 'undefined' || value === null) {
+            throw new Error('Invalid value specified (arg #2)');
+        }
+
+        super(key, 'Output', {
+            Description: undefined,
+            Value: _clone(value),
+            Export: undefined
+        });
+    }
+
+    /**
+     * The top level section of the cloud formation document to which the
+     * template belongs.
+     *
+     * @return {String} The name of the section.
+     */
+    get section() {
+        return 'Outputs';
+    }
+
+    /**
+     * Assigns a description to the output template.
+     *
+     * @param {String} [description = ''] An optional description for the
+     *        output.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setDescription(description) {
+        if(typeof description !== 'string') {
+            description = '';
+        }
+
+        this.properties.Description = description;
+
+        return this;
+    }
+
+    /**
+     * Exports the output value so that it can be imported by other stacks.
+     *
+     * @param {String|Object} name The export name. This can be a string or
+     *        an intrinsic function (typically Fn::Sub).
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setExportName(name) {
+        if(!name || (typeof name !== 'string' && typeof name !== 'object')) {
+            throw new Error('Invalid export name specified (arg #1)');
+        }
+
+        this.properties.Export = {
+            Name: _clone(name)
+        };
+
+        return this;
+    }
+
+    /**
+     * Generates the output declaration, replacing tokens as necessary.
+     *
+     * @param {Object} dataBag A hash containing data that can be injected
+     *        into placeholders within the tokens.
+     * @param {Array} [issues] An optional array to which unresolved tokens
+     *        and unassigned (null) values will be reported.
+     *
+     * @return {Object} An object that represents the output markup
+     */
+    finalize(data, issues) {
+        if(!data || (data instanceof Array) || typeof data !== 'object') {
+            data = {};
+        }
+        const result = {};
+        for(let prop in this.properties) {
+            result[prop] = this._finalizeProperty(this.properties[prop], data,
+                                                  prop, issues);
+        }
+        if(typeof this.attributes.Condition !== 'undefined') {
+            result.Condition = this._finalizeProperty(this.attributes.Condition, data,
+                                                      'Condition', issues);
+        }
+
+        return result;
+    }
+}
+
+module.exports = OutputTemplate;
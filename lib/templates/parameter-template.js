@@ -0,0 +1,205 @@
+'use strict';
+
+const Template = require('./template');
+const _fn = require('../utils/fn');
+
+/**
+ * Specialized template class for a cloud formation parameter declaration.
+ * Parameter templates are emitted in the parameters section of the cloud
+ * formation document.
+ *
+ * @extends {Template}
+ */
+class ParameterTemplate extends Template {
+    /**
+     * @param {String} key A key that uniquely identifies the template
+     * @param {String} [type='String'] The cloud formation parameter type
+     */
+    constructor(key, type) {
+        if(typeof type !== 'string' || type.length <= 0) {
+            type = 'String';
+        }
+
+        super(key, type);
+    }
+
+    /**
+     * The top level section of the cloud formation document to which the
+     * template belongs.
+     *
+     * @return {String} The name of the section.
+     */
+    get section() {
+        return 'Parameters';
+    }
+
+    /**
+     * Gets a cloud formation reference to the parameter.
+     *
+     * @return {Object} A cloud formation reference object that points to
+     *         the parameter.
+     */
+    getRef() {
+        return _fn.ref(this);
+    }
+
+    /**
+     * Assigns a description to the parameter template.
+     *
+     * @param {String} [description = ''] An optional description for the
+     *        parameter.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setDescription(description) {
+        if(typeof description !== 'string') {
+            description = '';
+        }
+
+        this.properties.Description = description;
+
+        return this;
+    }
+
+    /**
+     * Assigns a default value to the parameter template.
+     *
+     * @param {*} value The default value of the parameter.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setDefault(value) {
+        if(typeof value === 'undefined') {
+            throw new Error('Invalid default value specified (arg #1)');
+        }
+
+        this.properties.Default = value;
+
+        return this;
+    }
+
+    /**
+     * Restricts the parameter to a specific set of values.
+     *
+     * @param {Array} values An array of allowed values.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setAllowedValues(values) {
+        if(!(values instanceof Array) || values.length <= 0) {
+            throw new Error('Invalid allowed values specified (arg #1)');
+        }
+
+        this.properties.AllowedValues = values.slice();
+
+        return this;
+    }
+
+    /**
+     * Restricts the parameter to values that match a regular expression.
+     *
+     * @param {String} pattern The regular expression pattern.
+     * @param {String} [description] An optional description that explains
+     *        the constraint when the pattern does not match.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setAllowedPattern(pattern, description) {
+        if(typeof pattern !== 'string' || pattern.length <= 0) {
+            throw new Error('Invalid pattern specified (arg #1)');
+        }
+
+        this.properties.AllowedPattern = pattern;
+        if(typeof description === 'string' && description.length > 0) {
+            this.properties.ConstraintDescription = description;
+        }
+
+        return this;
+    }
+
+    /**
+     * Restricts the length of string parameter values.
+     *
+     * @param {Number} [min] An optional minimum length.
+     * @param {Number} [max] An optional maximum length.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setLengthRange(min, max) {
+        if(typeof min === 'number') {
+            this.properties.MinLength = min;
+        }
+        if(typeof max === 'number') {
+            this.properties.MaxLength = max;
+        }
+
+        return this;
+    }
+
+    /**
+     * Restricts the range of numeric parameter values.
+     *
+     * @param {Number} [min] An optional minimum value.
+     * @param {Number} [max] An optional maximum value.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setValueRange(min, max) {
+        if(typeof min === 'number') {
+            this.properties.MinValue = min;
+        }
+        if(typeof max === 'number') {
+            this.properties.MaxValue = max;
+        }
+
+        return this;
+    }
+
+    /**
+     * Masks the parameter value in console, cli and api output.
+     *
+     * @param {Boolean} [noEcho=true] An optional flag that determines
+     *        whether or not the parameter value is masked.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setNoEcho(noEcho) {
+        this.properties.NoEcho = (typeof noEcho === 'undefined')? true: !!noEcho;
+
+        return this;
+    }
+
+    /**
+     * Generates the parameter declaration, replacing tokens as necessary.
+     *
+     * @param {Object} dataBag A hash containing data that can be injected
+     *        into placeholders within the tokens.
+     * @param {Array} [issues] An optional array to which unresolved tokens
+     *        and unassigned (null) values will be reported.
+     *
+     * @return {Object} An object that represents the parameter markup
+     */
+    finalize(data, issues) {
+        if(!data || (data instanceof Array) || typeof data !== 'object') {
+            data = {};
+        }
+        const result = {
+            Type: this.type
+        };
+        for(let prop in this.properties) {
+            result[prop] = this._finalizeProperty(this.properties[prop], data,
+                                                  prop, issues);
+        }
+
+        return result;
+    }
+}
+
+module.exports = ParameterTemplate;
@@ -6,6 +6,9 @@ const _camelCase = require('camelcase');
 
 const _loggerProvider = require('wysknd-common').loggerProvider;
 
+const RESOURCE_POLICIES = [ 'Delete', 'Retain', 'Snapshot' ];
+const TOKEN_PATTERN = /<% ([^<% >]+) %>/g;
+
 /**
  * Template class for a cloud formation template.
  */
@@ -17,6 +20,10 @@ class Template {
      *        template.
      * @param {String} type The cloud formation template type.
      * @param {Object} [props={}] Optional properties to set on the object.
+     *        Required properties that must be assigned before the template
+     *        is finalized should be initialized to null, and are reported as
+     *        issues if they are not. Optional properties should be
+     *        initialized to undefined.
      * @param {Object} [exports={}] Optional properties to be exported by the object
      */
     constructor(key, type, props, exports) {
@@ -42,6 +49,21 @@ class Template {
 
         this._properties = _clone(props);
         this._exports = _clone(exports);
+        this._attributes = {};
+        this._source = undefined;
+    }
+
+    /**
+     * Validates that the specified value is a plain object.
+     *
+     * @private
+     * @param {*} value The value to check.
+     *
+     * @return {Boolean} True if the value is a non array object, false
+     *         otherwise.
+     */
+    _isObject(value) {
+        return !!value && !(value instanceof Array) && typeof value === 'object';
     }
 
     /**
@@ -80,26 +102,89 @@ class Template {
         return result[propToken];
     }
 
-    
+    /**
+     * Adds dependencies on other templates to finalized template markup,
+     * without modifying the attributes of the template itself. Used by
+     * templates that discover their dependencies when they are prepared.
+     *
+     * @protected
+     * @param {Object} markup The finalized template markup.
+     * @param {Array} templates The templates on which this template depends.
+     */
+    _addDependencies(markup, templates) {
+        const dependencies = [].concat(markup.DependsOn || []);
+        templates.forEach((template) => {
+            if(template !== this && dependencies.indexOf(template.key) < 0) {
+                dependencies.push(template.key);
+            }
+        });
+        if(dependencies.length > 0) {
+            markup.DependsOn = dependencies;
+        }
+    }
+
+
+    /**
+     * Records an issue found when finalizing the template.
+     *
+     * @private
+     * @param {Array} [issues] An optional array to which the issue will be
+     *        added. If omitted, the issue is ignored.
+     * @param {String} path The path of the property that has the issue.
+     * @param {String} [token] The name of the unresolved token, if any.
+     */
+    _addIssue(issues, path, token) {
+        if(!(issues instanceof Array)) {
+            return;
+        }
+        const message = (typeof token === 'string')?
+                            `Unresolved token: [${token}]`:
+                            'Unassigned (null) value';
+        issues.push({
+            key: this._key,
+            source: this._source,
+            path: path,
+            token: token,
+            message: message
+        });
+    }
+
     /**
      * Recursively parses properties, replacing tokens within string properties
      * with matching values from the data bag.
      * 
      * @param {Object|String} value The value of the property to parse
      * @param {Object} data A databag containing token replacements.
+     * @param {String} [path=''] The path of the property being parsed, used
+     *        when reporting issues.
+     * @param {Array} [issues] An optional array to which unresolved tokens
+     *        and null values will be reported.
      */
-    _finalizeProperty(value, data) {
+    _finalizeProperty(value, data, path, issues) {
+        path = path || '';
         if(typeof value === 'string') {
-            return _interpolate(value, data, { delimiter: '<%  %>' });
+            const result = _interpolate(value, data, { delimiter: '<%  %>' });
+            let match = null;
+            TOKEN_PATTERN.lastIndex = 0;
+            while((match = TOKEN_PATTERN.exec(result)) !== null) {
+                this._addIssue(issues, path, match[1]);
+            }
+            return result;
         } else if(value instanceof Array) {
-            return value.map((item) => this._finalizeProperty(item, data));
+            return value.map((item, index) => {
+                return this._finalizeProperty(item, data, `${path}[${index}]`, issues);
+            });
         } else if(value && typeof value === 'object') {
             const result = {};
             for(let prop in value) {
-                result[prop] = this._finalizeProperty(value[prop], data);
+                const propPath = (path.length > 0)? `${path}.${prop}`: prop;
+                result[prop] = this._finalizeProperty(value[prop], data, propPath, issues);
             }
             return result;
         } else {
+            if(value === null) {
+                this._addIssue(issues, path);
+            }
             return value;
         }
     }
@@ -122,6 +207,16 @@ class Template {
         return this._resourceType;
     }
 
+    /**
+     * The top level section of the cloud formation document to which the
+     * template belongs.
+     *
+     * @return {String} The name of the section.
+     */
+    get section() {
+        return 'Resources';
+    }
+
     /**
      * Returns the property map for the current template.
      *
@@ -131,6 +226,34 @@ class Template {
         return this._properties;
     }
 
+    /**
+     * The path of the file from which the template was loaded, if known.
+     *
+     * @return {String} The source file path.
+     */
+    get source() {
+        return this._source;
+    }
+
+    /**
+     * Sets the path of the file from which the template was loaded. This is
+     * used when reporting errors, and is typically set by the template
+     * builder.
+     *
+     * @param {String} source The path to the source file.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setSource(source) {
+        if(typeof source !== 'string' || source.length <= 0) {
+            throw new Error('Invalid source specified (arg #1)');
+        }
+        this._source = source;
+
+        return this;
+    }
+
     /**
      * Returns the map of properties exported by this template.
      *
@@ -140,16 +263,198 @@ class Template {
         return this._exports;
     }
 
+    /**
+     * Returns the map of resource attributes (DependsOn, Condition, etc.)
+     * defined on this template.
+     *
+     * @return {Object} The resource attribute map.
+     */
+    get attributes() {
+        return this._attributes;
+    }
+
+    /**
+     * Declares a dependency on another resource. This method can be called
+     * multiple times to declare multiple dependencies.
+     *
+     * @param {String|Object} keyOrTemplate The logical id of the resource
+     *        (can be a '<% %>' token), or a reference to the template on which
+     *        this template depends.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    dependsOn(keyOrTemplate) {
+        let key = keyOrTemplate;
+        if(keyOrTemplate instanceof Template) {
+            key = (typeof keyOrTemplate.keyToken === 'string')?
+                        keyOrTemplate.keyToken: keyOrTemplate.key;
+        }
+        if(typeof key !== 'string' || key.length <= 0) {
+            throw new Error('Invalid key or template specified (arg #1)');
+        }
+        const dependencies = this._attributes.DependsOn || [];
+        if(dependencies.indexOf(key) < 0) {
+            dependencies.push(key);
+        }
+        this._attributes.DependsOn = dependencies;
+
+        return this;
+    }
+
+    /**
+     * Associates a condition with the template. The resource will only be
+     * created if the condition evaluates to true.
+     *
+     * @param {String|Object} condition The name of the condition (can be a
+     *        '<% %>' token), or a reference to the condition template.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setCondition(condition) {
+        if(condition instanceof Template) {
+            condition = condition.key;
+        }
+        if(typeof condition !== 'string' || condition.length <= 0) {
+            throw new Error('Invalid condition specified (arg #1)');
+        }
+        this._attributes.Condition = condition;
+
+        return this;
+    }
+
+    /**
+     * Sets the deletion policy for the resource.
+     *
+     * @param {String} policy The deletion policy. Must be one of 'Delete',
+     *        'Retain' or 'Snapshot'.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setDeletionPolicy(policy) {
+        if(RESOURCE_POLICIES.indexOf(policy) < 0) {
+            throw new Error(`Invalid deletion policy specified (arg #1). Must be one of: [${RESOURCE_POLICIES}]`);
+        }
+        this._attributes.DeletionPolicy = policy;
+
+        return this;
+    }
+
+    /**
+     * Sets the update replace policy for the resource.
+     *
+     * @param {String} policy The update replace policy. Must be one of
+     *        'Delete', 'Retain' or 'Snapshot'.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setUpdateReplacePolicy(policy) {
+        if(RESOURCE_POLICIES.indexOf(policy) < 0) {
+            throw new Error(`Invalid update replace policy specified (arg #1). Must be one of: [${RESOURCE_POLICIES}]`);
+        }
+        this._attributes.UpdateReplacePolicy = policy;
+
+        return this;
+    }
+
+    /**
+     * Sets the creation policy for the resource.
+     *
+     * @param {Object} policy An object that defines the creation policy.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setCreationPolicy(policy) {
+        if(!this._isObject(policy)) {
+            throw new Error('Invalid creation policy specified (arg #1)');
+        }
+        this._attributes.CreationPolicy = _clone(policy);
+
+        return this;
+    }
+
+    /**
+     * Sets the update policy for the resource.
+     *
+     * @param {Object} policy An object that defines the update policy.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setUpdatePolicy(policy) {
+        if(!this._isObject(policy)) {
+            throw new Error('Invalid update policy specified (arg #1)');
+        }
+        this._attributes.UpdatePolicy = _clone(policy);
+
+        return this;
+    }
+
+    /**
+     * Assigns metadata to the resource. Properties in the metadata object
+     * will be merged with any previously assigned metadata.
+     *
+     * @param {Object} metadata An object containing the metadata values.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setMetadata(metadata) {
+        if(!this._isObject(metadata)) {
+            throw new Error('Invalid metadata specified (arg #1)');
+        }
+        this._attributes.Metadata = Object.assign(this._attributes.Metadata || {},
+                                                  _clone(metadata));
+
+        return this;
+    }
+
+    /**
+     * Invoked by the stack assembler to allow the template to generate
+     * additional templates that will be included in the build. The default
+     * implementation does not generate any templates.
+     *
+     * @param {Array} templates The list of all templates in the build.
+     * @param {Object} tokenMap The map of tokens to replacement values.
+     *
+     * @return {Array} A list of generated templates.
+     */
+    generateTemplates(templates, tokenMap) {
+        return [];
+    }
+
+    /**
+     * Invoked by the stack assembler before any of the templates in a build
+     * are finalized. Templates that depend on other templates in the build
+     * can override this method to inspect them. The default implementation
+     * does nothing.
+     *
+     * @param {Array} templates The list of all templates in the build.
+     * @param {Object} tokenMap The map of tokens to replacement values that
+     *        will be used to finalize the templates. Overriding methods may
+     *        update the map if the template changes its exported values.
+     *        This method may be invoked more than once per build, and must
+     *        not permanently modify the template.
+     */
+    prepare(templates, tokenMap) {
+    }
+
     /**
      * Generates a template by recursively traversing all properties
      * added to the current template, and replacing tokens as necessary.
      * 
      * @param {Object} dataBag A hash containing data that can be injected
      *        into placeholders within the tokens.
+     * @param {Array} [issues] An optional array to which unresolved tokens
+     *        and unassigned (null) values will be reported.
      *
      * @return {Object} An object that represents the template markup
      */
-    finalize(data) {
+    finalize(data, issues) {
         if(!data || (data instanceof Array) || typeof data !== 'object') {
             data = {};
         }
@@ -160,7 +465,12 @@ class Template {
         };
         for(let prop in this._properties) {
             let propValue = this._properties[prop];
-            result.Properties[prop] = this._finalizeProperty(propValue, data);
+            result.Properties[prop] = this._finalizeProperty(propValue, data,
+                                                    `Properties.${prop}`, issues);
+        }
+        for(let attr in this._attributes) {
+            result[attr] = this._finalizeProperty(this._attributes[attr], data,
+                                                  attr, issues);
         }
 
         return result;
@@ -0,0 +1,188 @@
+'use strict';
+
+const DEFAULT_ALLOWED_HEADERS = [ 'Content-Type', 'X-Amz-Date', 'Authorization',
+                                  'X-Api-Key', 'X-Amz-Security-Token' ];
+const ORIGIN_HEADER = 'Access-Control-Allow-Origin';
+
+/**
+ * Converts a string or an array of strings into an array.
+ *
+ * @private
+ * @param {String|Array} value The value to convert.
+ * @param {String} name The name of the option (used for error reporting).
+ *
+ * @return {Array} An array of strings.
+ */
+function _toList(value, name) {
+    if(typeof value === 'string') {
+        value = [ value ];
+    }
+    if(!(value instanceof Array) || value.length <= 0 ||
+       value.some((item) => typeof item !== 'string' || item.length <= 0)) {
+        throw new Error(`Invalid cors ${name} specified`);
+    }
+    return value.slice();
+}
+
+/**
+ * Formats a value as a static api gateway header mapping value.
+ *
+ * @private
+ * @param {String} value The header value.
+ *
+ * @return {String} The quoted header value.
+ */
+function _quote(value) {
+    return `'${value}'`;
+}
+
+/**
+ * A module that exposes utility methods related to cross origin resource
+ * sharing (CORS) for API gateway methods.
+ */
+const corsUtils = {
+
+   /**
+    * Validates CORS options, and returns a normalized configuration object.
+    *
+    * @param {Object} [options={}] The CORS options.
+    * @param {String|Array} [options.origins='*'] The allowed origin(s). If
+    *        more than one origin is specified, the origin header is set
+    *        dynamically for requests from any of the origins.
+    * @param {Array} [options.methods] The allowed http methods. Defaults to
+    *        the methods declared on the resource.
+    * @param {Array} [options.headers] The allowed request headers.
+    * @param {Array} [options.exposeHeaders] Response headers that will be
+    *        exposed to the browser.
+    * @param {Boolean} [options.credentials=false] Determines whether or not
+    *        credentials are allowed.
+    * @param {Number} [options.maxAge] The number of seconds for which
+    *        preflight responses may be cached.
+    *
+    * @return {Object} The normalized CORS configuration.
+    */
+    normalize: function(options) {
+        if(typeof options === 'undefined' || options === null) {
+            options = {};
+        }
+        if((options instanceof Array) || typeof options !== 'object') {
+            throw new Error('Invalid cors options specified (arg #1)');
+        }
+        const config = {
+            origins: _toList(options.origins || '*', 'origins'),
+            methods: options.methods? _toList(options.methods, 'methods')
+                                            .map((method) => method.toUpperCase()): undefined,
+            headers: _toList(options.headers || DEFAULT_ALLOWED_HEADERS, 'headers'),
+            exposeHeaders: options.exposeHeaders?
+                                _toList(options.exposeHeaders, 'expose headers'): [],
+            credentials: !!options.credentials,
+            maxAge: options.maxAge
+        };
+        if(config.credentials && config.origins.indexOf('*') >= 0) {
+            throw new Error('Invalid cors options specified. Credentials cannot be allowed for a wildcard origin');
+        }
+        if(typeof config.maxAge !== 'undefined' &&
+           (typeof config.maxAge !== 'number' || config.maxAge < 0)) {
+            throw new Error('Invalid cors max age specified');
+        }
+        return config;
+    },
+
+   /**
+    * Gets the CORS configuration that applies to a method, based on the
+    * resource to which the method belongs. Resource level configuration
+    * takes precedence over rest api level configuration.
+    *
+    * @param {Array} templates The list of all templates in the build.
+    * @param {Object} restApiId A finalized reference to the rest api.
+    * @param {Object} resourceId A finalized reference to the resource.
+    *
+    * @return {Object} The CORS configuration, or undefined if CORS is not
+    *         enabled for the resource.
+    */
+    getConfig: function(templates, restApiId, resourceId) {
+        const find = (type, key) => {
+            return templates.find((template) => {
+                return template.type === type && template.key === key && !!template.cors;
+            });
+        };
+        const resource = (resourceId && typeof resourceId.Ref === 'string')?
+                            find('AWS::ApiGateway::Resource', resourceId.Ref): undefined;
+        if(resource) {
+            return resource.cors;
+        }
+        const api = (restApiId && typeof restApiId.Ref === 'string')?
+                            find('AWS::ApiGateway::RestApi', restApiId.Ref): undefined;
+        return api? api.cors: undefined;
+    },
+
+   /**
+    * Gets the response headers returned by a preflight (OPTIONS) request.
+    *
+    * @param {Object} config The CORS configuration.
+    * @param {Array} methods The list of http methods declared on the
+    *        resource. Used only if the configuration does not explicitly
+    *        list the allowed methods.
+    *
+    * @return {Object} A map of header names to static header values.
+    */
+    getPreflightHeaders: function(config, methods) {
+        methods = config.methods || methods.concat('OPTIONS');
+        methods = methods.filter((method, index) => methods.indexOf(method) === index);
+
+        const headers = {
+            'Access-Control-Allow-Headers': _quote(config.headers.join(',')),
+            'Access-Control-Allow-Methods': _quote(methods.join(','))
+        };
+        if(typeof config.maxAge !== 'undefined') {
+            headers['Access-Control-Max-Age'] = _quote(config.maxAge.toString());
+        }
+        return Object.assign(headers, corsUtils.getResponseHeaders(config));
+    },
+
+   /**
+    * Gets the CORS response headers that must be returned by every response
+    * of a method.
+    *
+    * @param {Object} config The CORS configuration.
+    *
+    * @return {Object} A map of header names to static header values.
+    */
+    getResponseHeaders: function(config) {
+        const headers = {};
+        headers[ORIGIN_HEADER] = _quote(config.origins[0]);
+        if(config.credentials) {
+            headers['Access-Control-Allow-Credentials'] = _quote('true');
+        }
+        if(config.exposeHeaders.length > 0) {
+            headers['Access-Control-Expose-Headers'] = _quote(config.exposeHeaders.join(','));
+        }
+        return headers;
+    },
+
+   /**
+    * Gets a mapping template fragment that overrides the origin header for
+    * requests from any of the allowed origins. This is necessary only when
+    * multiple origins are allowed, because the static header mapping can
+    * only return a single origin.
+    *
+    * @param {Object} config The CORS configuration.
+    *
+    * @return {String} The mapping template fragment, or an empty string if
+    *         no override is necessary.
+    */
+    getOriginOverride: function(config) {
+        if(config.origins.length <= 1) {
+            return '';
+        }
+        const origins = config.origins.map((origin) => `"${origin}"`).join(',');
+        return [
+            '#set($origin = $input.params().header.get("Origin"))',
+            `#set($allowedOrigins = [${origins}])`,
+            `#if($allowedOrigins.contains($origin))#set($context.responseOverride.header.${ORIGIN_HEADER} = $origin)#end`,
+            ''
+        ].join('\n');
+    }
+};
+
+module.exports = corsUtils;
@@ -0,0 +1,202 @@
+'use strict';
+
+/**
+ * Properties that force replacement of the resource when changed, keyed by
+ * resource type.
+ */
+const REPLACEMENT_PROPERTIES = {
+    'AWS::ApiGateway::ApiKey': [ 'Name', 'Value' ],
+    'AWS::ApiGateway::Authorizer': [ 'RestApiId' ],
+    'AWS::ApiGateway::BasePathMapping': [ 'DomainName' ],
+    'AWS::ApiGateway::Deployment': [ 'DeploymentCanarySettings', 'RestApiId' ],
+    'AWS::ApiGateway::DomainName': [ 'DomainName' ],
+    'AWS::ApiGateway::GatewayResponse': [ 'ResponseType', 'RestApiId' ],
+    'AWS::ApiGateway::Method': [ 'ResourceId', 'RestApiId' ],
+    'AWS::ApiGateway::Model': [ 'ContentType', 'Name', 'RestApiId' ],
+    'AWS::ApiGateway::RequestValidator': [ 'Name', 'RestApiId' ],
+    'AWS::ApiGateway::Resource': [ 'ParentId', 'PathPart', 'RestApiId' ],
+    'AWS::ApiGateway::Stage': [ 'RestApiId', 'StageName' ],
+    'AWS::ApiGateway::UsagePlanKey': [ 'KeyId', 'KeyType', 'UsagePlanId' ]
+};
+
+/**
+ * Checks if the specified value is a non array object.
+ *
+ * @private
+ * @param {*} value The value to check.
+ *
+ * @return {Boolean} True if the value is an object, false otherwise.
+ */
+function _isObject(value) {
+    return !!value && typeof value === 'object' && !(value instanceof Array);
+}
+
+/**
+ * Recursively compares two values, and records the differences between
+ * them.
+ *
+ * @private
+ * @param {*} before The original value.
+ * @param {*} after The updated value.
+ * @param {String} path The path of the value being compared.
+ * @param {Array} changes The list to which differences are added.
+ */
+function _compareValues(before, after, path, changes) {
+    if(typeof before === 'undefined' && typeof after === 'undefined') {
+        return;
+    }
+    if(typeof before === 'undefined') {
+        changes.push({ path: path, kind: 'added', after: after });
+        return;
+    }
+    if(typeof after === 'undefined') {
+        changes.push({ path: path, kind: 'removed', before: before });
+        return;
+    }
+
+    if((before instanceof Array) && (after instanceof Array)) {
+        const length = Math.max(before.length, after.length);
+        for(let index = 0; index < length; index++) {
+            _compareValues(before[index], after[index], `${path}[${index}]`, changes);
+        }
+        return;
+    }
+    if(_isObject(before) && _isObject(after)) {
+        const keys = Object.keys(before);
+        Object.keys(after).forEach((key) => {
+            if(keys.indexOf(key) < 0) {
+                keys.push(key);
+            }
+        });
+        keys.forEach((key) => {
+            const propPath = (path.length > 0)? `${path}.${key}`: key;
+            _compareValues(before[key], after[key], propPath, changes);
+        });
+        return;
+    }
+
+    if(JSON.stringify(before) !== JSON.stringify(after)) {
+        changes.push({ path: path, kind: 'modified', before: before, after: after });
+    }
+}
+
+/**
+ * Utility module that computes structural differences between cloud
+ * formation documents.
+ */
+const diffUtils = {
+    /**
+     * Map of resource types to properties that force replacement of the
+     * resource when changed.
+     */
+    REPLACEMENT_PROPERTIES: REPLACEMENT_PROPERTIES,
+
+    /**
+     * Determines whether or not a change to the specified property forces
+     * replacement of a resource of the given type.
+     *
+     * @param {String} type The resource type.
+     * @param {String} property The name of the top level property.
+     *
+     * @return {Boolean} True if the change forces replacement.
+     */
+    requiresReplacement: function(type, property) {
+        const properties = REPLACEMENT_PROPERTIES[type];
+        return !!properties && properties.indexOf(property) >= 0;
+    },
+
+    /**
+     * Compares two resource declarations, and returns the list of changes
+     * between them. Changes to properties are reported with paths relative
+     * to the resource properties, while changes to other attributes
+     * (DependsOn, Metadata, etc.) identify the attribute separately.
+     *
+     * @param {Object} before The original resource declaration.
+     * @param {Object} after The updated resource declaration.
+     *
+     * @return {Array} A list of change objects, each with an attribute name,
+     *         a path, the kind of change ('added', 'removed' or 'modified'),
+     *         the before and after values, and a replacement flag.
+     */
+    compareResources: function(before, after) {
+        const changes = [];
+        const attributes = Object.keys(before);
+        Object.keys(after).forEach((attr) => {
+            if(attributes.indexOf(attr) < 0) {
+                attributes.push(attr);
+            }
+        });
+
+        attributes.forEach((attr) => {
+            const attrChanges = [];
+            _compareValues(before[attr], after[attr], '', attrChanges);
+            attrChanges.forEach((change) => {
+                change.attribute = attr;
+                if(attr === 'Type') {
+                    change.replacement = true;
+                } else if(attr === 'Properties') {
+                    const property = change.path.split(/[.[]/)[0];
+                    change.replacement = diffUtils.requiresReplacement(after.Type, property);
+                } else {
+                    change.replacement = false;
+                }
+                changes.push(change);
+            });
+        });
+
+        return changes;
+    },
+
+    /**
+     * Compares the resources of two cloud formation documents.
+     *
+     * @param {Object} before The original document.
+     * @param {Object} after The updated document.
+     *
+     * @return {Object} An object with 'added' and 'removed' arrays of
+     *         resources (logical id and type), and a 'modified' array of
+     *         resources that includes the list of changes to each resource,
+     *         and a flag that indicates if the resource will be replaced.
+     */
+    compare: function(before, after) {
+        if(!_isObject(before)) {
+            throw new Error('Invalid original document specified (arg #1)');
+        }
+        if(!_isObject(after)) {
+            throw new Error('Invalid updated document specified (arg #2)');
+        }
+        const oldResources = before.Resources || {};
+        const newResources = after.Resources || {};
+        const result = {
+            added: [],
+            removed: [],
+            modified: []
+        };
+
+        Object.keys(newResources).sort().forEach((key) => {
+            const resource = newResources[key];
+            if(!oldResources.hasOwnProperty(key)) {
+                result.added.push({ key: key, type: resource.Type });
+                return;
+            }
+            const changes = diffUtils.compareResources(oldResources[key], resource);
+            if(changes.length > 0) {
+                result.modified.push({
+                    key: key,
+                    type: resource.Type,
+                    replacement: changes.some((change) => change.replacement),
+                    changes: changes
+                });
+            }
+        });
+        Object.keys(oldResources).sort().forEach((key) => {
+            if(!newResources.hasOwnProperty(key)) {
+                result.removed.push({ key: key, type: oldResources[key].Type });
+            }
+        });
+
+        return result;
+    }
+};
+
+module.exports = diffUtils;
@@ -0,0 +1,343 @@
+'use strict';
+
+const Template = require('../templates/template');
+const _stackUtils = require('./stack-utils');
+
+/**
+ * Resolves a template or a string into a logical id. Strings are returned
+ * as is, allowing '<% %>' tokens to be resolved when the templates are
+ * finalized. Templates whose logical ids are only known once the build has
+ * been prepared (see `DeploymentTemplate.keyToken`) resolve to a token.
+ *
+ * @private
+ * @param {String|Object} target A template reference, or a logical id.
+ * @param {Number} argIndex The index of the argument, used for error
+ *        reporting.
+ *
+ * @return {String} The logical id.
+ */
+function _getLogicalId(target, argIndex) {
+    if(target instanceof Template) {
+        return (typeof target.keyToken === 'string')? target.keyToken: target.key;
+    }
+    if(typeof target !== 'string' || target.length <= 0) {
+        throw new Error(`Invalid logical id or template specified (arg #${argIndex})`);
+    }
+    return target;
+}
+
+/**
+ * Checks if the specified value is a string or an intrinsic function object.
+ *
+ * @private
+ * @param {*} value The value to check.
+ *
+ * @return {Boolean} True if the value is a string or an object.
+ */
+function _isStringOrIntrinsic(value) {
+    return (typeof value === 'string' && value.length > 0) ||
+           (!!value && !(value instanceof Array) && typeof value === 'object');
+}
+
+/**
+ * Checks if the specified value is an array or an intrinsic function object
+ * that resolves to an array.
+ *
+ * @private
+ * @param {*} value The value to check.
+ *
+ * @return {Boolean} True if the value is an array or an object.
+ */
+function _isListOrIntrinsic(value) {
+    return (value instanceof Array) || (!!value && typeof value === 'object');
+}
+
+/**
+ * Generates a reference to a pseudo parameter.
+ *
+ * @private
+ * @param {String} name The name of the pseudo parameter.
+ *
+ * @return {Object} A cloud formation reference object.
+ */
+function _pseudo(name) {
+    return { Ref: `AWS::${name}` };
+}
+
+/**
+ * A module with builders for cloud formation intrinsic functions. Functions
+ * that reference other entities in the document accept either a template
+ * reference, or a logical id (which can be a '<% %>' token).
+ */
+const fn = {
+
+    /**
+     * Generates a reference to a resource or a parameter.
+     *
+     * @param {String|Object} target A template reference, or a logical id.
+     *
+     * @return {Object} A cloud formation Ref object.
+     */
+    ref: function(target) {
+        return { Ref: _getLogicalId(target, 1) };
+    },
+
+    /**
+     * Generates an expression that returns the value of an attribute of a
+     * resource.
+     *
+     * @param {String|Object} target A template reference, or a logical id.
+     * @param {String} attribute The name of the attribute.
+     *
+     * @return {Object} A cloud formation Fn::GetAtt object.
+     */
+    getAtt: function(target, attribute) {
+        const logicalId = _getLogicalId(target, 1);
+        if(typeof attribute !== 'string' || attribute.length <= 0) {
+            throw new Error('Invalid attribute specified (arg #2)');
+        }
+        return { 'Fn::GetAtt': [ logicalId, attribute ] };
+    },
+
+    /**
+     * Generates an expression that substitutes variables in a string.
+     *
+     * @param {String} template The string containing '${}' placeholders.
+     * @param {Object} [variables] An optional map of variable names to
+     *        values.
+     *
+     * @return {Object} A cloud formation Fn::Sub object.
+     */
+    sub: function(template, variables) {
+        if(typeof template !== 'string' || template.length <= 0) {
+            throw new Error('Invalid template string specified (arg #1)');
+        }
+        if(typeof variables === 'undefined') {
+            return { 'Fn::Sub': template };
+        }
+        if(!variables || (variables instanceof Array) || typeof variables !== 'object') {
+            throw new Error('Invalid variables specified (arg #2)');
+        }
+        return { 'Fn::Sub': [ template, variables ] };
+    },
+
+    /**
+     * Generates an expression that joins a list of values.
+     *
+     * @param {String} delimiter The delimiter to place between values. Can
+     *        be an empty string.
+     * @param {Array} values The list of values to join.
+     *
+     * @return {Object} A cloud formation Fn::Join object.
+     */
+    join: function(delimiter, values) {
+        if(typeof delimiter !== 'string') {
+            throw new Error('Invalid delimiter specified (arg #1)');
+        }
+        if(!_isListOrIntrinsic(values)) {
+            throw new Error('Invalid values specified (arg #2)');
+        }
+        return { 'Fn::Join': [ delimiter, values ] };
+    },
+
+    /**
+     * Generates an expression that returns one of two values based on a
+     * condition.
+     *
+     * @param {String|Object} condition A condition template reference, or
+     *        the name of the condition.
+     * @param {*} trueValue The value returned if the condition is true.
+     * @param {*} falseValue The value returned if the condition is false.
+     *
+     * @return {Object} A cloud formation Fn::If object.
+     */
+    if: function(condition, trueValue, falseValue) {
+        const conditionName = _getLogicalId(condition, 1);
+        if(typeof trueValue === 'undefined') {
+            throw new Error('Invalid true value specified (arg #2)');
+        }
+        if(typeof falseValue === 'undefined') {
+            throw new Error('Invalid false value specified (arg #3)');
+        }
+        return { 'Fn::If': [ conditionName, trueValue, falseValue ] };
+    },
+
+    /**
+     * Generates an expression that compares two values.
+     *
+     * @param {*} first The first value.
+     * @param {*} second The second value.
+     *
+     * @return {Object} A cloud formation Fn::Equals object.
+     */
+    equals: function(first, second) {
+        if(typeof first === 'undefined') {
+            throw new Error('Invalid first value specified (arg #1)');
+        }
+        if(typeof second === 'undefined') {
+            throw new Error('Invalid second value specified (arg #2)');
+        }
+        return { 'Fn::Equals': [ first, second ] };
+    },
+
+    /**
+     * Generates an expression that returns true if all of the specified
+     * conditions are true.
+     *
+     * @param {Array} conditions A list of condition expressions.
+     *
+     * @return {Object} A cloud formation Fn::And object.
+     */
+    and: function(conditions) {
+        if(!(conditions instanceof Array) || conditions.length < 2) {
+            throw new Error('Invalid conditions specified (arg #1). Must specify at least two conditions');
+        }
+        return { 'Fn::And': conditions.slice() };
+    },
+
+    /**
+     * Generates an expression that returns true if any of the specified
+     * conditions are true.
+     *
+     * @param {Array} conditions A list of condition expressions.
+     *
+     * @return {Object} A cloud formation Fn::Or object.
+     */
+    or: function(conditions) {
+        if(!(conditions instanceof Array) || conditions.length < 2) {
+            throw new Error('Invalid conditions specified (arg #1). Must specify at least two conditions');
+        }
+        return { 'Fn::Or': conditions.slice() };
+    },
+
+    /**
+     * Generates an expression that negates a condition.
+     *
+     * @param {Object} condition The condition expression.
+     *
+     * @return {Object} A cloud formation Fn::Not object.
+     */
+    not: function(condition) {
+        if(!condition || (condition instanceof Array) || typeof condition !== 'object') {
+            throw new Error('Invalid condition specified (arg #1)');
+        }
+        return { 'Fn::Not': [ condition ] };
+    },
+
+    /**
+     * Generates a reference to a named condition, for use within other
+     * condition expressions.
+     *
+     * @param {String|Object} condition A condition template reference, or
+     *        the name of the condition.
+     *
+     * @return {Object} A cloud formation condition object.
+     */
+    condition: function(condition) {
+        return { Condition: _getLogicalId(condition, 1) };
+    },
+
+    /**
+     * Generates an expression that selects a single value from a list.
+     *
+     * @param {Number} index The zero based index of the value to select.
+     * @param {Array|Object} list A list of values, or an intrinsic function
+     *        that returns a list.
+     *
+     * @return {Object} A cloud formation Fn::Select object.
+     */
+    select: function(index, list) {
+        if(typeof index !== 'number' || index < 0 || Math.floor(index) !== index) {
+            throw new Error('Invalid index specified (arg #1)');
+        }
+        if(!_isListOrIntrinsic(list)) {
+            throw new Error('Invalid list specified (arg #2)');
+        }
+        return { 'Fn::Select': [ index.toString(), list ] };
+    },
+
+    /**
+     * Generates an expression that splits a string into a list of values.
+     *
+     * @param {String} delimiter The delimiter to split on.
+     * @param {String|Object} source The string to split, or an intrinsic
+     *        function that returns a string.
+     *
+     * @return {Object} A cloud formation Fn::Split object.
+     */
+    split: function(delimiter, source) {
+        if(typeof delimiter !== 'string' || delimiter.length <= 0) {
+            throw new Error('Invalid delimiter specified (arg #1)');
+        }
+        if(!_isStringOrIntrinsic(source)) {
+            throw new Error('Invalid source specified (arg #2)');
+        }
+        return { 'Fn::Split': [ delimiter, source ] };
+    },
+
+    /**
+     * Generates an expression that imports a value exported by another
+     * stack.
+     *
+     * @param {String|Object} exportName The name of the export, or an
+     *        intrinsic function that resolves to the name.
+     *
+     * @return {Object} A cloud formation Fn::ImportValue object.
+     */
+    importValue: function(exportName) {
+        return _stackUtils.getImportValue(exportName);
+    },
+
+    /**
+     * Generates an expression that looks up a value in a mapping.
+     *
+     * @param {String|Object} mapping A mapping template reference, or the
+     *        name of the mapping.
+     * @param {String|Object} topLevelKey The top level key.
+     * @param {String|Object} secondLevelKey The second level key.
+     *
+     * @return {Object} A cloud formation Fn::FindInMap object.
+     */
+    findInMap: function(mapping, topLevelKey, secondLevelKey) {
+        const mapName = _getLogicalId(mapping, 1);
+        if(!_isStringOrIntrinsic(topLevelKey)) {
+            throw new Error('Invalid top level key specified (arg #2)');
+        }
+        if(!_isStringOrIntrinsic(secondLevelKey)) {
+            throw new Error('Invalid second level key specified (arg #3)');
+        }
+        return { 'Fn::FindInMap': [ mapName, topLevelKey, secondLevelKey ] };
+    },
+
+    /**
+     * Generates an expression that base64 encodes a value.
+     *
+     * @param {String|Object} value The string to encode, or an intrinsic
+     *        function that returns a string.
+     *
+     * @return {Object} A cloud formation Fn::Base64 object.
+     */
+    base64: function(value) {
+        if(!_isStringOrIntrinsic(value)) {
+            throw new Error('Invalid value specified (arg #1)');
+        }
+        return { 'Fn::Base64': value };
+    },
+
+    /**
+     * References to cloud formation pseudo parameters. A new object is
+     * returned every time a property is accessed.
+     */
+    pseudo: {
+        get accountId() { return _pseudo('AccountId'); },
+        get notificationArns() { return _pseudo('NotificationARNs'); },
+        get noValue() { return _pseudo('NoValue'); },
+        get partition() { return _pseudo('Partition'); },
+        get region() { return _pseudo('Region'); },
+        get stackId() { return _pseudo('StackId'); },
+        get stackName() { return _pseudo('StackName'); },
+        get urlSuffix() { return _pseudo('URLSuffix'); }
+    }
+};
+
+module.exports = fn;
@@ -1,5 +1,8 @@
 'use strict';
 
+const Template = require('../templates/template');
+const _fn = require('./fn');
+
 /**
  * A module that exposes utility methods related to IAM objects.
  */
@@ -8,21 +11,34 @@ const iamUtils = {
    /**
     * Gets an IAM role URI based on the role name.
     *
-    * @param {String} role The name of the role.
+    * @param {String|Object} role The name of the role, or a reference to a
+    *        role template. Roles that have a path can be referenced by name
+    *        by including the path in the name (for example,
+    *        'service/api-invoke').
+    * @param {String} [path='/'] An optional path of the role, which must
+    *        begin and end with '/'. Ignored if a template reference is
+    *        specified.
     *
     * @return {String} The IAM role uri.
     */
-    getRoleUri: function(role) {
+    getRoleUri: function(role, path) {
+        if(role instanceof Template) {
+            return _fn.getAtt(role, 'Arn');
+        }
         if(typeof role !== 'string' || role.length <= 0) {
             throw new Error('Invalid role name specified (arg #1)');
         }
-        return {
-            'Fn::Join' : ['', [
-                'arn:aws:iam::',
-                { 'Ref' : 'AWS::AccountId' },
-                `:role/${role}`
-            ]]
-        };
+        if(typeof path === 'undefined') {
+            path = '/';
+        }
+        if(typeof path !== 'string' || !/^\/(.*\/)?$/.test(path)) {
+            throw new Error('Invalid path specified (arg #2). Must begin and end with "/"');
+        }
+        return _fn.join('', [
+            'arn:aws:iam::',
+            _fn.pseudo.accountId,
+            `:role${path}${role}`
+        ]);
     } 
 };
 
@@ -1,38 +1,220 @@
 'use strict';
 
+const Template = require('../templates/template');
+const _fn = require('./fn');
+
+const STAGE_VARIABLE_PATTERN = /\$\{stageVariables\.([A-Za-z0-9_]+)\}/g;
+
+/**
+ * Returns the elements of a lambda function ARN that precede the function
+ * name.
+ *
+ * @private
+ * @return {Array} A list of strings and intrinsic functions that can be
+ *         joined with the function name to form the ARN.
+ */
+function _getFunctionArnPrefix() {
+    return [
+        'arn:aws:lambda:',
+        _fn.pseudo.region,
+        ':',
+        _fn.pseudo.accountId,
+        ':function:'
+    ];
+}
+
 /**
  * A module that exposes utility methods related to lambda functions.
  */
 const lambdaUtils = {
-   
+
    /**
     * Gets a lambda function URI based on the lambda function name.
     *
-    * @param {String} lambdaFunction The name of the lambda function.
+    * @param {String|Object} lambdaFunction The name of the lambda function,
+    *        or a reference to a lambda function or alias template.
     * @param {String} [suffix='${stageVariables.stack}'] Optional placeholder
-    *        for a suffix, typically intended for a stage variable
+    *        for a suffix, typically intended for a stage variable. Ignored
+    *        if a template reference is specified.
     *
     * @return {String} The lambda function uri.
     */
     getLambdaUri: function(lambdaFunction, suffix) {
+        if(lambdaFunction instanceof Template) {
+            return _fn.join('', [
+                'arn:aws:apigateway:',
+                _fn.pseudo.region,
+                ':lambda:path/2015-03-31/functions/',
+                lambdaUtils.getFunctionArn(lambdaFunction),
+                '/invocations'
+            ]);
+        }
         if(typeof lambdaFunction !== 'string' || lambdaFunction.length <= 0) {
             throw new Error('Invalid lambda function specified (arg #1)');
         }
         if(typeof suffix !== 'string') {
             suffix = '${stageVariables.stack}';
         }
-        return {
-            'Fn::Join' : ['', [
-                'arn:aws:apigateway:',
-                { 'Ref' : 'AWS::Region' },
-                ':lambda:path/2015-03-31/functions/arn:aws:lambda:',
-                { 'Ref' : 'AWS::Region' },
-                ':',
-                { 'Ref' : 'AWS::AccountId' },
-                `:function:${lambdaFunction}${suffix}/invocations`
-            ]]
-        };
-    } 
+        return _fn.join('', [
+            'arn:aws:apigateway:',
+            _fn.pseudo.region,
+            ':lambda:path/2015-03-31/functions/arn:aws:lambda:',
+            _fn.pseudo.region,
+            ':',
+            _fn.pseudo.accountId,
+            `:function:${lambdaFunction}${suffix}/invocations`
+        ]);
+    },
+
+   /**
+    * Gets the ARN of a lambda function.
+    *
+    * @param {String|Object} lambdaFunction The name of the lambda function,
+    *        or a reference to a lambda function or alias template.
+    *
+    * @return {Object} A cloud formation reference to the ARN.
+    */
+    getFunctionArn: function(lambdaFunction) {
+        if(lambdaFunction instanceof Template) {
+            // The Ref of an alias resolves to the alias ARN.
+            return (lambdaFunction.type === 'AWS::Lambda::Alias')?
+                        _fn.ref(lambdaFunction): _fn.getAtt(lambdaFunction, 'Arn');
+        }
+        if(typeof lambdaFunction !== 'string' || lambdaFunction.length <= 0) {
+            throw new Error('Invalid lambda function specified (arg #1)');
+        }
+        return _fn.join('', _getFunctionArnPrefix().concat(lambdaFunction));
+    },
+
+   /**
+    * Resolves the names of the functions that an api gateway integration
+    * invokes. Names that end with a stage variable suffix are resolved using
+    * the values of the variable in every stage of the rest api included in
+    * the build, resulting in one name per stage.
+    *
+    * @param {String|Object} lambdaFunction The name of the lambda function,
+    *        or a reference to a lambda function or alias template.
+    * @param {String} suffix The suffix appended to the function name.
+    * @param {Array} templates The list of all templates in the build.
+    * @param {Object} restApiId A finalized reference to the rest api.
+    * @param {Object} tokenMap The map of tokens to replacement values.
+    *
+    * @return {Array} A list of objects, each containing the function name or
+    *         ARN (name), and the key (stage) and name (stageName) of the
+    *         stage if the name was resolved using stage variables. The
+    *         list is empty if no stage in the build defines the variables.
+    */
+    getFunctionNames: function(lambdaFunction, suffix, templates, restApiId, tokenMap) {
+        if(lambdaFunction instanceof Template) {
+            return [ { name: lambdaUtils.getFunctionArn(lambdaFunction) } ];
+        }
+        if(typeof suffix !== 'string') {
+            suffix = '';
+        }
+
+        const variables = [];
+        let match = null;
+        STAGE_VARIABLE_PATTERN.lastIndex = 0;
+        while((match = STAGE_VARIABLE_PATTERN.exec(suffix)) !== null) {
+            variables.push(match[1]);
+        }
+
+        if(variables.length <= 0) {
+            const name = `${lambdaFunction}${suffix}`;
+            const template = templates.find((template) => {
+                return template.type === 'AWS::Lambda::Function' &&
+                       template._finalizeProperty(template.properties.FunctionName, tokenMap) === name;
+            });
+            return [ { name: template? _fn.ref(template): name } ];
+        }
+
+        const apiId = JSON.stringify(restApiId);
+        return templates.filter((template) => {
+            if(template.type !== 'AWS::ApiGateway::Stage') {
+                return false;
+            }
+            const stageApiId = template._finalizeProperty(template.properties.RestApiId, tokenMap);
+            const values = template.properties.Variables || {};
+            return JSON.stringify(stageApiId) === apiId &&
+                   variables.every((variable) => typeof values[variable] !== 'undefined');
+        }).map((template) => {
+            const values = template.properties.Variables;
+            const tokens = suffix.split(STAGE_VARIABLE_PATTERN).map((token, index) => {
+                // Odd tokens are captured variable names.
+                return (index % 2 === 1)? values[token]: token;
+            }).filter((token) => token !== '');
+            return {
+                name: _fn.join('', [ lambdaFunction ].concat(tokens)),
+                stage: template.key,
+                stageName: template.properties.StageName
+            };
+        });
+    },
+
+   /**
+    * Resolves the ARNs of the functions that an api gateway integration
+    * invokes. Names are resolved in the same way as `getFunctionNames()`,
+    * so that only the functions that are actually invoked are identified.
+    *
+    * @param {String|Object} lambdaFunction The name of the lambda function,
+    *        or a reference to a lambda function or alias template.
+    * @param {String} suffix The suffix appended to the function name.
+    * @param {Array} templates The list of all templates in the build.
+    * @param {Object} restApiId A finalized reference to the rest api.
+    * @param {Object} tokenMap The map of tokens to replacement values.
+    *
+    * @return {Array} A list of function ARNs.
+    */
+    getFunctionArns: function(lambdaFunction, suffix, templates, restApiId, tokenMap) {
+        const items = lambdaUtils.getFunctionNames(lambdaFunction, suffix, templates,
+                                                   restApiId, tokenMap);
+        if(lambdaFunction instanceof Template) {
+            return items.map((item) => item.name);
+        }
+        return items.map((item) => {
+            const name = item.name;
+            if(typeof name === 'string') {
+                return lambdaUtils.getFunctionArn(name);
+            }
+            if(typeof name.Ref === 'string') {
+                // Function templates declared in the build.
+                return _fn.getAtt(name.Ref, 'Arn');
+            }
+            return _fn.join('', _getFunctionArnPrefix().concat(name['Fn::Join'][1]));
+        });
+    },
+
+   /**
+    * Gets an execute api ARN for a rest api, which identifies the callers
+    * that are allowed to invoke a lambda function.
+    *
+    * @param {Object} restApiId A reference to the rest api.
+    * @param {String|Array} path The path of the api entity, relative to the
+    *        rest api (for example, '/prod/GET/users'). If an array is
+    *        specified, the elements will be joined to form the path,
+    *        allowing intrinsic functions to be used within the path.
+    *
+    * @return {Object} The execute api ARN.
+    */
+    getSourceArn: function(restApiId, path) {
+        if(!restApiId) {
+            throw new Error('Invalid rest api id specified (arg #1)');
+        }
+        if(typeof path === 'string' && path.length > 0) {
+            path = [ path ];
+        }
+        if(!(path instanceof Array) || path.length <= 0) {
+            throw new Error('Invalid path specified (arg #2)');
+        }
+        return _fn.join('', [
+            'arn:aws:execute-api:',
+            _fn.pseudo.region,
+            ':',
+            _fn.pseudo.accountId,
+            ':',
+            restApiId
+        ].concat(path));
+    }
 };
 
 module.exports = lambdaUtils;
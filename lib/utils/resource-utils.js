@@ -1,6 +1,59 @@
 'use strict';
 
 const DirInfo = require('../dir-info');
+const _stackUtils = require('./stack-utils');
+const _fn = require('./fn');
+
+const _methodIndexes = new WeakMap();
+
+/**
+ * Returns an index of the api gateway method templates in a list of
+ * templates, grouped by the finalized references to their resources. The
+ * index is built once per list of templates and token map, so that repeated
+ * lookups (one per resource when generating preflight methods, for example)
+ * do not finalize the references of every method in the build again.
+ *
+ * @private
+ * @param {Array} templates The list of templates to index.
+ * @param {Object} tokenMap The map of tokens used to finalize the rest api
+ *        and resource references of the methods.
+ *
+ * @return {Map} A map of serialized resource references to lists of
+ *         objects, each containing a method template (template), and the
+ *         serialized reference to its rest api (restApiId).
+ */
+function _getMethodIndex(templates, tokenMap) {
+    const cacheable = !!tokenMap && typeof tokenMap === 'object';
+    let indexes = cacheable? _methodIndexes.get(tokenMap): undefined;
+    const entry = indexes? indexes.get(templates): undefined;
+    if(entry && entry.length === templates.length) {
+        return entry.index;
+    }
+
+    const index = new Map();
+    templates.forEach((template) => {
+        if(template.type !== 'AWS::ApiGateway::Method') {
+            return;
+        }
+        const props = template.properties;
+        const resourceId = JSON.stringify(template._finalizeProperty(props.ResourceId, tokenMap));
+        const methods = index.get(resourceId) || [];
+        methods.push({
+            template: template,
+            restApiId: JSON.stringify(template._finalizeProperty(props.RestApiId, tokenMap))
+        });
+        index.set(resourceId, methods);
+    });
+
+    if(cacheable) {
+        if(!indexes) {
+            indexes = new WeakMap();
+            _methodIndexes.set(tokenMap, indexes);
+        }
+        indexes.set(templates, { length: templates.length, index: index });
+    }
+    return index;
+}
 
 /**
  * A module that exposes utility methods related to API gateway resources.
@@ -14,19 +67,26 @@ const resourceUtils = {
     * 
     * @param {Object} dirInfo A directory info object that identifies the
     *        level of the current resource/method.
+    * @param {String} [exportPrefix] An optional export prefix that indicates
+    *        that the rest api is declared in another stack. If specified,
+    *        references to the api's root resource will be imported using
+    *        this prefix.
     *
     * @return {Object} A cloud formation reference/get attribute object that
     *        points to the appropriate resource.
     */
-    getCurrentResource: function(dirInfo) {
+    getCurrentResource: function(dirInfo, exportPrefix) {
         if(!(dirInfo instanceof DirInfo)) {
             throw new Error('Invalid directory info specified (arg #1)');
         }
         
         if(dirInfo.level === 1) {
-            return { 'Fn::GetAtt': [ `<% ${dirInfo.getRootToken('API')} %>`, 'RootResourceId' ] };
+            if(typeof exportPrefix === 'string' && exportPrefix.length > 0) {
+                return _stackUtils.importRootResource(exportPrefix);
+            }
+            return _fn.getAtt(`<% ${dirInfo.getRootToken('API')} %>`, 'RootResourceId');
         } else {
-            return { 'Ref': `<% ${dirInfo.getToken('RES')} %>` };
+            return _fn.ref(`<% ${dirInfo.getToken('RES')} %>`);
         }
     },
    
@@ -37,19 +97,26 @@ const resourceUtils = {
     * 
     * @param {Object} dirInfo A directory info object that identifies the
     *        level of the current resource/method.
+    * @param {String} [exportPrefix] An optional export prefix that indicates
+    *        that the rest api is declared in another stack. If specified,
+    *        references to the api's root resource will be imported using
+    *        this prefix.
     *
     * @return {Object} A cloud formation reference/get attribute object that
     *        points to the appropriate resource.
     */
-    getParentResource: function(dirInfo) {
+    getParentResource: function(dirInfo, exportPrefix) {
         if(!(dirInfo instanceof DirInfo)) {
             throw new Error('Invalid directory info specified (arg #1)');
         }
         
         if(dirInfo.level === 2) {
-            return { 'Fn::GetAtt': [ `<% ${dirInfo.getRootToken('API')} %>`, 'RootResourceId' ] };
+            if(typeof exportPrefix === 'string' && exportPrefix.length > 0) {
+                return _stackUtils.importRootResource(exportPrefix);
+            }
+            return _fn.getAtt(`<% ${dirInfo.getRootToken('API')} %>`, 'RootResourceId');
         } else {
-            return { 'Ref': `<% ${dirInfo.getParentToken('RES')} %>` };
+            return _fn.ref(`<% ${dirInfo.getParentToken('RES')} %>`);
         }
     },
    
@@ -58,18 +125,141 @@ const resourceUtils = {
     * 
     * @param {Object} dirInfo A directory info object that identifies the
     *        level of the current resource/method.
+    * @param {String} [exportPrefix] An optional export prefix that indicates
+    *        that the rest api is declared in another stack. If specified,
+    *        the rest api id will be imported using this prefix.
     *
     * @return {Object} A cloud formation reference/get attribute object that
     *        points to the appropriate resource.
     */
-    getRestApi: function(dirInfo) {
+    getRestApi: function(dirInfo, exportPrefix) {
         if(!(dirInfo instanceof DirInfo)) {
             throw new Error('Invalid directory info specified (arg #1)');
         }
+        if(typeof exportPrefix === 'string' && exportPrefix.length > 0) {
+            return _stackUtils.importRestApi(exportPrefix);
+        }
+
+        return _fn.ref(`<% ${dirInfo.getRootToken('API')} %>`);
+    },
+
+   /**
+    * Finds all api gateway method templates in a list of templates that
+    * belong to a specific rest api (and optionally, a specific resource),
+    * and prepares and finalizes them using the specified token map. Only
+    * the matching methods are finalized.
+    *
+    * @param {Array} templates The list of templates to search.
+    * @param {Object} restApiId A finalized reference to the rest api. If
+    *        this value is null or undefined, methods of all rest apis will be
+    *        returned.
+    * @param {Object} tokenMap The map of tokens used to finalize the
+    *        methods.
+    * @param {Object} [resourceId] An optional finalized reference to the
+    *        resource. If specified, only methods of the resource will be
+    *        returned.
+    *
+    * @return {Array} A list of objects, each containing a method template
+    *         (template), and its finalized markup (markup), sorted by key.
+    */
+    getMethods: function(templates, restApiId, tokenMap, resourceId) {
+        if(!(templates instanceof Array)) {
+            throw new Error('Invalid template list specified (arg #1)');
+        }
+        const apiId = (restApiId === null || typeof restApiId === 'undefined')?
+                            undefined: JSON.stringify(restApiId);
+        const index = _getMethodIndex(templates, tokenMap);
 
-        return {
-            Ref: `<% ${dirInfo.getRootToken('API')} %>`
-        };
+        let methods = [];
+        if(resourceId === null || typeof resourceId === 'undefined') {
+            index.forEach((items) => {
+                methods = methods.concat(items);
+            });
+        } else {
+            methods = index.get(JSON.stringify(resourceId)) || [];
+        }
+
+        return methods.filter((method) => {
+            return !apiId || method.restApiId === apiId;
+        }).map((method) => {
+            method.template.prepare(templates, tokenMap);
+            return {
+                template: method.template,
+                markup: method.template.finalize(tokenMap)
+            };
+        }).sort((first, second) => {
+            return (first.template.key < second.template.key)? -1:
+                        (first.template.key > second.template.key)? 1: 0;
+        });
+    },
+
+   /**
+    * Finds the api gateway model templates in a list of templates that
+    * belong to a specific rest api, and have one of the specified names.
+    *
+    * @param {Array} templates The list of templates to search.
+    * @param {Object} restApiId A finalized reference to the rest api.
+    * @param {Array} names The names of the models.
+    * @param {Object} tokenMap The map of tokens used to finalize the names
+    *        and rest api references of the models.
+    *
+    * @return {Array} A list of matching model templates. Models that are
+    *         not declared in the list (for example, built in models, or
+    *         models declared in another stack) are not included.
+    */
+    getModels: function(templates, restApiId, names, tokenMap) {
+        if(!(templates instanceof Array)) {
+            throw new Error('Invalid template list specified (arg #1)');
+        }
+        if(!(names instanceof Array)) {
+            throw new Error('Invalid model names specified (arg #3)');
+        }
+        const apiId = JSON.stringify(restApiId);
+
+        return templates.filter((template) => {
+            if(template.type !== 'AWS::ApiGateway::Model') {
+                return false;
+            }
+            const props = template.properties;
+            return names.indexOf(template._finalizeProperty(props.Name, tokenMap)) >= 0 &&
+                   JSON.stringify(template._finalizeProperty(props.RestApiId, tokenMap)) === apiId;
+        });
+    },
+
+   /**
+    * Determines the api path of a resource by following the chain of parent
+    * resources declared in a list of templates.
+    *
+    * @param {Array} templates The list of templates to search.
+    * @param {Object} resourceId A finalized reference to the resource, or to
+    *        the root resource of the api.
+    * @param {Object} tokenMap The map of tokens used to finalize the parent
+    *        references of the resources.
+    *
+    * @return {String} The api path of the resource (an empty string for the
+    *         root resource), or undefined if the path cannot be determined
+    *         (for example, if a parent resource is declared in another
+    *         stack).
+    */
+    getResourcePath: function(templates, resourceId, tokenMap) {
+        if(!(templates instanceof Array)) {
+            throw new Error('Invalid template list specified (arg #1)');
+        }
+        const getAtt = resourceId && resourceId['Fn::GetAtt'];
+        if((getAtt instanceof Array) && getAtt[1] === 'RootResourceId') {
+            return '';
+        }
+        const ref = resourceId && resourceId.Ref;
+        const resource = (typeof ref !== 'string')? undefined: templates.find((template) => {
+            return template.type === 'AWS::ApiGateway::Resource' && template.key === ref;
+        });
+        if(!resource) {
+            return undefined;
+        }
+        const parentId = resource._finalizeProperty(resource.properties.ParentId, tokenMap);
+        const parentPath = resourceUtils.getResourcePath(templates, parentId, tokenMap);
+        return (typeof parentPath === 'string')?
+                    `${parentPath}/${resource.properties.PathPart}`: undefined;
     }
 }
 
@@ -0,0 +1,284 @@
+'use strict';
+
+const _fn = require('./fn');
+
+const DRAFT_04_SCHEMA = 'http://json-schema.org/draft-04/schema#';
+const MODEL_REF_PATTERN = /^#\/models\/([A-Za-z0-9]+)$/;
+const MODEL_URL_TEMPLATE = 'https://apigateway.amazonaws.com/restapis/${RestApiId}/models/';
+const SIMPLE_TYPES = [ 'array', 'boolean', 'integer', 'null', 'number', 'object', 'string' ];
+const STRING_KEYWORDS = [ 'id', 'title', 'description', 'format' ];
+const NUMBER_KEYWORDS = [ 'maximum', 'minimum' ];
+const BOOLEAN_KEYWORDS = [ 'uniqueItems' ];
+const COUNT_KEYWORDS = [ 'maxLength', 'minLength', 'maxItems', 'minItems',
+                         'maxProperties', 'minProperties' ];
+const SCHEMA_KEYWORDS = [ 'not' ];
+const SCHEMA_OR_BOOLEAN_KEYWORDS = [ 'additionalItems', 'additionalProperties' ];
+const SCHEMA_MAP_KEYWORDS = [ 'properties', 'patternProperties', 'definitions' ];
+const SCHEMA_LIST_KEYWORDS = [ 'allOf', 'anyOf', 'oneOf' ];
+
+/**
+ * Checks if the specified value is a plain object.
+ *
+ * @private
+ * @param {*} value The value to check.
+ *
+ * @return {Boolean} True if the value is an object, and not an array.
+ */
+function _isObject(value) {
+    return !!value && !(value instanceof Array) && typeof value === 'object';
+}
+
+/**
+ * Checks if all of the elements in a list are unique.
+ *
+ * @private
+ * @param {Array} list The list to check.
+ *
+ * @return {Boolean} True if the list contains no duplicates.
+ */
+function _isUnique(list) {
+    const values = list.map((item) => JSON.stringify(item));
+    return values.every((value, index) => values.indexOf(value) === index);
+}
+
+/**
+ * Checks if the specified value is a valid regular expression.
+ *
+ * @private
+ * @param {*} value The value to check.
+ *
+ * @return {Boolean} True if the value is a string that can be compiled into
+ *         a regular expression.
+ */
+function _isPattern(value) {
+    if(typeof value !== 'string') {
+        return false;
+    }
+    try {
+        new RegExp(value);
+        return true;
+    } catch(ex) {
+        return false;
+    }
+}
+
+/**
+ * Recursively validates a schema, adding an error to the list for every
+ * keyword that does not conform to the draft-04 meta schema.
+ *
+ * @private
+ * @param {*} schema The schema to validate.
+ * @param {String} path A json pointer to the schema, used when reporting
+ *        errors.
+ * @param {Array} errors The list to which errors will be added.
+ */
+function _validate(schema, path, errors) {
+    const addError = (keyword, message) => {
+        errors.push({
+            path: (keyword)? `${path}/${keyword}`: path,
+            message: message
+        });
+    };
+
+    if(!_isObject(schema)) {
+        addError(undefined, 'Schema must be an object');
+        return;
+    }
+
+    Object.keys(schema).forEach((keyword) => {
+        const value = schema[keyword];
+
+        if(keyword === '$schema') {
+            if(value !== DRAFT_04_SCHEMA) {
+                addError(keyword, `Only draft-04 schemas are supported (${DRAFT_04_SCHEMA})`);
+            }
+        } else if(keyword === '$ref') {
+            // Model references may have been rewritten into intrinsic
+            // functions.
+            if((typeof value !== 'string' || value.length <= 0) && !_isObject(value)) {
+                addError(keyword, 'Must be a non empty string');
+            }
+        } else if(STRING_KEYWORDS.indexOf(keyword) >= 0) {
+            if(typeof value !== 'string') {
+                addError(keyword, 'Must be a string');
+            }
+        } else if(NUMBER_KEYWORDS.indexOf(keyword) >= 0) {
+            if(typeof value !== 'number') {
+                addError(keyword, 'Must be a number');
+            }
+        } else if(BOOLEAN_KEYWORDS.indexOf(keyword) >= 0) {
+            if(typeof value !== 'boolean') {
+                addError(keyword, 'Must be a boolean');
+            }
+        } else if(COUNT_KEYWORDS.indexOf(keyword) >= 0) {
+            if(typeof value !== 'number' || value % 1 !== 0 || value < 0) {
+                addError(keyword, 'Must be a non negative integer');
+            }
+        } else if(keyword === 'multipleOf') {
+            if(typeof value !== 'number' || value <= 0) {
+                addError(keyword, 'Must be a number greater than 0');
+            }
+        } else if(keyword === 'exclusiveMaximum' || keyword === 'exclusiveMinimum') {
+            const bound = (keyword === 'exclusiveMaximum')? 'maximum': 'minimum';
+            if(typeof value !== 'boolean') {
+                addError(keyword, 'Must be a boolean');
+            } else if(typeof schema[bound] === 'undefined') {
+                addError(keyword, `Cannot be used without [${bound}]`);
+            }
+        } else if(keyword === 'pattern') {
+            if(!_isPattern(value)) {
+                addError(keyword, 'Must be a valid regular expression');
+            }
+        } else if(keyword === 'type') {
+            const types = (value instanceof Array)? value: [ value ];
+            if(types.length <= 0 || !_isUnique(types) ||
+               !types.every((type) => SIMPLE_TYPES.indexOf(type) >= 0)) {
+                addError(keyword, `Must be one of [${SIMPLE_TYPES}], or a unique list of these types`);
+            }
+        } else if(keyword === 'enum') {
+            if(!(value instanceof Array) || value.length <= 0 || !_isUnique(value)) {
+                addError(keyword, 'Must be a non empty list of unique values');
+            }
+        } else if(keyword === 'required') {
+            if(!(value instanceof Array) || value.length <= 0 || !_isUnique(value) ||
+               !value.every((item) => typeof item === 'string')) {
+                addError(keyword, 'Must be a non empty list of unique strings');
+            }
+        } else if(keyword === 'items') {
+            if(value instanceof Array) {
+                value.forEach((item, index) => _validate(item, `${path}/items/${index}`, errors));
+            } else {
+                _validate(value, `${path}/items`, errors);
+            }
+        } else if(SCHEMA_KEYWORDS.indexOf(keyword) >= 0) {
+            _validate(value, `${path}/${keyword}`, errors);
+        } else if(SCHEMA_OR_BOOLEAN_KEYWORDS.indexOf(keyword) >= 0) {
+            if(typeof value !== 'boolean') {
+                _validate(value, `${path}/${keyword}`, errors);
+            }
+        } else if(SCHEMA_LIST_KEYWORDS.indexOf(keyword) >= 0) {
+            if(!(value instanceof Array) || value.length <= 0) {
+                addError(keyword, 'Must be a non empty list of schemas');
+            } else {
+                value.forEach((item, index) => _validate(item, `${path}/${keyword}/${index}`, errors));
+            }
+        } else if(SCHEMA_MAP_KEYWORDS.indexOf(keyword) >= 0) {
+            if(!_isObject(value)) {
+                addError(keyword, 'Must be an object');
+                return;
+            }
+            Object.keys(value).forEach((prop) => {
+                if(keyword === 'patternProperties' && !_isPattern(prop)) {
+                    addError(`${keyword}/${prop}`, 'Property name must be a valid regular expression');
+                }
+                _validate(value[prop], `${path}/${keyword}/${prop}`, errors);
+            });
+        } else if(keyword === 'dependencies') {
+            if(!_isObject(value)) {
+                addError(keyword, 'Must be an object');
+                return;
+            }
+            Object.keys(value).forEach((prop) => {
+                const dependency = value[prop];
+                if(!(dependency instanceof Array)) {
+                    _validate(dependency, `${path}/${keyword}/${prop}`, errors);
+                } else if(dependency.length <= 0 || !_isUnique(dependency) ||
+                          !dependency.every((item) => typeof item === 'string')) {
+                    addError(`${keyword}/${prop}`, 'Must be a schema, or a non empty list of unique strings');
+                }
+            });
+        }
+    });
+}
+
+/**
+ * A module that exposes utility methods for JSON schemas used by api gateway
+ * models.
+ */
+const schemaUtils = {
+
+   /**
+    * The URI of the JSON schema version supported by api gateway models.
+    */
+    DRAFT_04_SCHEMA: DRAFT_04_SCHEMA,
+
+   /**
+    * Validates a schema against the draft-04 meta schema. Keywords that are
+    * not defined by the meta schema are ignored.
+    *
+    * @param {Object} schema The schema to validate.
+    *
+    * @return {Array} A list of errors, each containing a json pointer to the
+    *         invalid keyword (path) and a description of the error (message).
+    *         The list will be empty if the schema is valid.
+    */
+    validate: function(schema) {
+        const errors = [];
+        _validate(schema, '#', errors);
+        return errors;
+    },
+
+   /**
+    * Gets the names of all models referenced by a schema using local model
+    * references ('#/models/<name>').
+    *
+    * @param {*} schema The schema to search.
+    *
+    * @return {Array} A list of unique model names.
+    */
+    getModelReferences: function(schema) {
+        const names = [];
+        const search = (value) => {
+            if(value instanceof Array) {
+                value.forEach(search);
+            } else if(_isObject(value)) {
+                Object.keys(value).forEach((key) => {
+                    const match = (key === '$ref' && typeof value[key] === 'string')?
+                                        value[key].match(MODEL_REF_PATTERN): null;
+                    if(match) {
+                        if(names.indexOf(match[1]) < 0) {
+                            names.push(match[1]);
+                        }
+                    } else {
+                        search(value[key]);
+                    }
+                });
+            }
+        };
+        search(schema);
+        return names;
+    },
+
+   /**
+    * Rewrites local model references ('#/models/<name>') within a schema into
+    * the api gateway model URLs that are required when one model refers to
+    * another.
+    *
+    * @param {*} schema The schema to rewrite. This object is not modified.
+    * @param {Object|String} restApiId A reference to the rest api to which
+    *        the models belong.
+    *
+    * @return {*} A copy of the schema, with all model references rewritten.
+    */
+    rewriteModelReferences: function(schema, restApiId) {
+        if(schema instanceof Array) {
+            return schema.map((item) => schemaUtils.rewriteModelReferences(item, restApiId));
+        }
+        if(!_isObject(schema)) {
+            return schema;
+        }
+        const result = {};
+        Object.keys(schema).forEach((key) => {
+            const value = schema[key];
+            const match = (key === '$ref' && typeof value === 'string')?
+                                value.match(MODEL_REF_PATTERN): null;
+            result[key] = match? _fn.sub(`${MODEL_URL_TEMPLATE}${match[1]}`, {
+                                    RestApiId: restApiId
+                                }):
+                                schemaUtils.rewriteModelReferences(value, restApiId);
+        });
+        return result;
+    }
+};
+
+module.exports = schemaUtils;
@@ -0,0 +1,90 @@
+'use strict';
+
+const _fn = require('./fn');
+
+/**
+ * A module that exposes utility methods related to api gateway integrations
+ * with AWS services.
+ */
+const serviceUtils = {
+
+   /**
+    * Gets the integration URI for an action based AWS service api (for
+    * example, DynamoDB PutItem or SNS Publish).
+    *
+    * @param {String} service The name of the service (subdomain).
+    * @param {String} action The name of the service action.
+    *
+    * @return {Object} The service integration uri.
+    */
+    getActionUri: function(service, action) {
+        if(typeof service !== 'string' || service.length <= 0) {
+            throw new Error('Invalid service specified (arg #1)');
+        }
+        if(typeof action !== 'string' || action.length <= 0) {
+            throw new Error('Invalid action specified (arg #2)');
+        }
+        return _fn.join('', [
+            'arn:aws:apigateway:',
+            _fn.pseudo.region,
+            `:${service}:action/${action}`
+        ]);
+    },
+
+   /**
+    * Gets the integration URI for a path based AWS service api (for
+    * example, S3 objects or SQS queues).
+    *
+    * @param {String} service The name of the service (subdomain).
+    * @param {String|Array} path The path of the service resource. If an
+    *        array is specified, the elements will be joined to form the path,
+    *        allowing intrinsic functions to be used within the path.
+    *
+    * @return {Object} The service integration uri.
+    */
+    getPathUri: function(service, path) {
+        if(typeof service !== 'string' || service.length <= 0) {
+            throw new Error('Invalid service specified (arg #1)');
+        }
+        if(typeof path === 'string' && path.length > 0) {
+            path = [ path ];
+        }
+        if(!(path instanceof Array) || path.length <= 0) {
+            throw new Error('Invalid path specified (arg #2)');
+        }
+        return _fn.join('', [
+            'arn:aws:apigateway:',
+            _fn.pseudo.region,
+            `:${service}:path/`
+        ].concat(path));
+    },
+
+   /**
+    * Gets the ARN of a regional AWS service resource that belongs to the
+    * account in which the stack is deployed.
+    *
+    * @param {String} service The name of the service (for example,
+    *        'dynamodb' or 'sqs').
+    * @param {String} resource The resource identifier (for example,
+    *        'table/users').
+    *
+    * @return {Object} The resource ARN.
+    */
+    getResourceArn: function(service, resource) {
+        if(typeof service !== 'string' || service.length <= 0) {
+            throw new Error('Invalid service specified (arg #1)');
+        }
+        if(typeof resource !== 'string' || resource.length <= 0) {
+            throw new Error('Invalid resource specified (arg #2)');
+        }
+        return _fn.join('', [
+            `arn:aws:${service}:`,
+            _fn.pseudo.region,
+            ':',
+            _fn.pseudo.accountId,
+            `:${resource}`
+        ]);
+    }
+};
+
+module.exports = serviceUtils;
@@ -0,0 +1,96 @@
+'use strict';
+
+const REST_API_ID_EXPORT = 'RestApiId';
+const ROOT_RESOURCE_ID_EXPORT = 'RootResourceId';
+
+/**
+ * A module that exposes utility methods related to cross stack references
+ * (outputs, exports and imports).
+ */
+const stackUtils = {
+
+   /**
+    * Gets the name of a stack export, based on an export prefix and the name
+    * of the exported value.
+    *
+    * @param {String} exportPrefix The prefix for the export. This is typically
+    *        a value that uniquely identifies the stack within an account and
+    *        region.
+    * @param {String} name The name of the exported value.
+    *
+    * @return {String} The export name.
+    */
+    getExportName: function(exportPrefix, name) {
+        if(typeof exportPrefix !== 'string' || exportPrefix.length <= 0) {
+            throw new Error('Invalid export prefix specified (arg #1)');
+        }
+        if(typeof name !== 'string' || name.length <= 0) {
+            throw new Error('Invalid name specified (arg #2)');
+        }
+        return `${exportPrefix}-${name}`;
+    },
+
+   /**
+    * Gets a cloud formation import value object for a value exported by
+    * another stack. Export names that contain '${}' placeholders (for
+    * example '${AWS::StackName}') will be wrapped in a substitution.
+    *
+    * @param {String|Object} exportName The name of the export, or an
+    *        intrinsic function that resolves to the name.
+    *
+    * @return {Object} A cloud formation import value object.
+    */
+    getImportValue: function(exportName) {
+        if(exportName && typeof exportName === 'object' &&
+           !(exportName instanceof Array)) {
+            return { 'Fn::ImportValue': exportName };
+        }
+        if(typeof exportName !== 'string' || exportName.length <= 0) {
+            throw new Error('Invalid export name specified (arg #1)');
+        }
+        if(exportName.indexOf('${') >= 0) {
+            return { 'Fn::ImportValue': { 'Fn::Sub': exportName } };
+        }
+        return { 'Fn::ImportValue': exportName };
+    },
+
+   /**
+    * Gets a cloud formation import value object for the id of a rest api
+    * that has been exported by another stack.
+    *
+    * @param {String} exportPrefix The export prefix used by the stack that
+    *        declares the rest api.
+    *
+    * @return {Object} A cloud formation import value object.
+    */
+    importRestApi: function(exportPrefix) {
+        return stackUtils.getImportValue(
+                    stackUtils.getExportName(exportPrefix, REST_API_ID_EXPORT));
+    },
+
+   /**
+    * Gets a cloud formation import value object for the root resource id of
+    * a rest api that has been exported by another stack.
+    *
+    * @param {String} exportPrefix The export prefix used by the stack that
+    *        declares the rest api.
+    *
+    * @return {Object} A cloud formation import value object.
+    */
+    importRootResource: function(exportPrefix) {
+        return stackUtils.getImportValue(
+                    stackUtils.getExportName(exportPrefix, ROOT_RESOURCE_ID_EXPORT));
+    },
+
+    /**
+     * The name of the export that holds the rest api id.
+     */
+    REST_API_ID_EXPORT: REST_API_ID_EXPORT,
+
+    /**
+     * The name of the export that holds the rest api root resource id.
+     */
+    ROOT_RESOURCE_ID_EXPORT: ROOT_RESOURCE_ID_EXPORT
+};
+
+module.exports = stackUtils;
@@ -0,0 +1,179 @@
+'use strict';
+
+const _yaml = require('js-yaml');
+
+/**
+ * Intrinsic functions that take a single scalar argument, and their
+ * corresponding short form tags.
+ */
+const SCALAR_FUNCTIONS = {
+    '!Ref': 'Ref',
+    '!Sub': 'Fn::Sub',
+    '!Base64': 'Fn::Base64',
+    '!GetAZs': 'Fn::GetAZs',
+    '!ImportValue': 'Fn::ImportValue',
+    '!Condition': 'Condition'
+};
+
+/**
+ * Intrinsic functions that take a list of arguments, and their corresponding
+ * short form tags.
+ */
+const SEQUENCE_FUNCTIONS = {
+    '!Join': 'Fn::Join',
+    '!Sub': 'Fn::Sub',
+    '!Select': 'Fn::Select',
+    '!Split': 'Fn::Split',
+    '!If': 'Fn::If',
+    '!FindInMap': 'Fn::FindInMap',
+    '!Equals': 'Fn::Equals',
+    '!And': 'Fn::And',
+    '!Or': 'Fn::Or',
+    '!Not': 'Fn::Not',
+    '!Cidr': 'Fn::Cidr',
+    '!GetAtt': 'Fn::GetAtt'
+};
+
+/**
+ * Checks if an object is an intrinsic function object with the specified
+ * name, i.e. an object with a single property that matches the name.
+ *
+ * @private
+ * @param {*} value The value to check.
+ * @param {String} name The name of the intrinsic function.
+ *
+ * @return {Boolean} True if the value represents the function.
+ */
+function _isFunction(value, name) {
+    return !!value && typeof value === 'object' && !(value instanceof Array) &&
+           Object.keys(value).length === 1 &&
+           Object.prototype.hasOwnProperty.call(value, name);
+}
+
+/**
+ * Checks if the arguments of a Fn::GetAtt function can be represented using
+ * the 'logicalId.attribute' short form.
+ *
+ * @private
+ * @param {Array} args The function arguments.
+ *
+ * @return {Boolean} True if the short form can be used.
+ */
+function _isScalarGetAtt(args) {
+    return (args instanceof Array) && args.length === 2 &&
+           typeof args[0] === 'string' && args[0].indexOf('.') < 0 &&
+           typeof args[1] === 'string';
+}
+
+/**
+ * Creates the list of custom yaml types that map short form tags to
+ * intrinsic functions. Scalar forms are only used for dumping when the
+ * argument is a plain string, because short form functions cannot be
+ * nested directly within each other.
+ *
+ * @private
+ * @return {Array} An array of yaml types.
+ */
+function _createTypes() {
+    const types = [];
+
+    types.push(new _yaml.Type('!GetAtt', {
+        kind: 'scalar',
+        resolve: (data) => typeof data === 'string' && data.indexOf('.') > 0,
+        construct: (data) => {
+            const index = data.indexOf('.');
+            return {
+                'Fn::GetAtt': [ data.substring(0, index), data.substring(index + 1) ]
+            };
+        },
+        predicate: (value) => _isFunction(value, 'Fn::GetAtt') &&
+                              _isScalarGetAtt(value['Fn::GetAtt']),
+        represent: (value) => value['Fn::GetAtt'].join('.')
+    }));
+
+    Object.keys(SCALAR_FUNCTIONS).forEach((tag) => {
+        const name = SCALAR_FUNCTIONS[tag];
+        types.push(new _yaml.Type(tag, {
+            kind: 'scalar',
+            construct: (data) => {
+                const result = {};
+                result[name] = data;
+                return result;
+            },
+            predicate: (value) => _isFunction(value, name) &&
+                                  typeof value[name] === 'string',
+            represent: (value) => value[name]
+        }));
+    });
+
+    Object.keys(SEQUENCE_FUNCTIONS).forEach((tag) => {
+        const name = SEQUENCE_FUNCTIONS[tag];
+        types.push(new _yaml.Type(tag, {
+            kind: 'sequence',
+            construct: (data) => {
+                const result = {};
+                result[name] = data || [];
+                return result;
+            },
+            predicate: (value) => _isFunction(value, name) &&
+                                  value[name] instanceof Array,
+            represent: (value) => value[name]
+        }));
+    });
+
+    return types;
+}
+
+const CLOUD_FORMATION_SCHEMA = _yaml.DEFAULT_SCHEMA.extend(_createTypes());
+
+/**
+ * A module that exposes utility methods to convert cloud formation documents
+ * to and from yaml. Intrinsic functions are written using short form tags
+ * (!Ref, !GetAtt, !Sub, !Join, etc.), and multi line strings (such as
+ * velocity mapping templates) are written as block scalars.
+ */
+const yamlUtils = {
+
+   /**
+    * The yaml schema that understands cloud formation short form tags.
+    */
+    SCHEMA: CLOUD_FORMATION_SCHEMA,
+
+   /**
+    * Serializes a cloud formation document into yaml.
+    *
+    * @param {Object} doc The cloud formation document.
+    *
+    * @return {String} The yaml representation of the document.
+    */
+    dump: function(doc) {
+        if(!doc || (doc instanceof Array) || typeof doc !== 'object') {
+            throw new Error('Invalid document specified (arg #1)');
+        }
+        return _yaml.dump(doc, {
+            schema: CLOUD_FORMATION_SCHEMA,
+            lineWidth: -1,
+            noRefs: true,
+            skipInvalid: true
+        });
+    },
+
+   /**
+    * Parses a yaml cloud formation document, converting short form tags into
+    * their long form (json) equivalents.
+    *
+    * @param {String} text The yaml text to parse.
+    *
+    * @return {Object} The cloud formation document.
+    */
+    load: function(text) {
+        if(typeof text !== 'string') {
+            throw new Error('Invalid yaml text specified (arg #1)');
+        }
+        return _yaml.load(text, {
+            schema: CLOUD_FORMATION_SCHEMA
+        });
+    }
+};
+
+module.exports = yamlUtils;